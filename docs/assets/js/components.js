@@ -2,7 +2,7 @@
  * UI Components Module
  * 
  * Handles dynamic UI components including navigation menu, footer,
- * theme toggle, and home button. All components are initialized on DOM ready.
+ * theme picker, and home button. All components are initialized on DOM ready.
  * 
  * @fileoverview Component initialization and rendering for nmokey.com
  */
@@ -15,6 +15,22 @@ function getCurrentPath() {
   return window.location.pathname;
 }
 
+/**
+ * Resolves a site-relative link from the current page
+ * Pages generated into subfolders (e.g. thoughts/*.html) declare the way
+ * back to the site root in <body data-root="../">
+ * 
+ * @param {string} link - Site-relative link (e.g., "about.html")
+ * @returns {string} Link that works from the current page
+ */
+function siteLink(link) {
+  const root = document.body.getAttribute('data-root') || '';
+  if (!root || /^(?:[a-z][a-z\d+.-]*:|\/|#)/i.test(link)) {
+    return link;
+  }
+  return root + link;
+}
+
 /**
  * Checks if a given link matches the current page
  * Handles edge cases like root/index pages
@@ -43,6 +59,9 @@ function isCurrentPage(link) {
  * Renders the navigation menu dynamically from navigationData
  * Creates menu items with submenus and highlights current page
  * 
+ * Pages with subpages get a disclosure button (aria-expanded/aria-controls)
+ * instead of a link, so every item is either a real link or a real button.
+ * 
  * @returns {void}
  */
 function renderNavigation() {
@@ -51,39 +70,45 @@ function renderNavigation() {
 
   const ul = document.createElement('ul');
   
-  navigationData.pages.forEach(item => {
+  navigationData.pages.forEach((item, index) => {
     const li = document.createElement('li');
     
     if (item.subpages && item.subpages.length > 0) {
       // Create dropdown menu
-      const a = document.createElement('a');
-      a.textContent = item.name;
-      a.href = '#';
-      a.classList.add('submenu-toggle');
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.textContent = item.name;
+      toggle.classList.add('submenu-toggle');
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.setAttribute('aria-controls', `navSubmenu${index}`);
       
       const subUl = document.createElement('ul');
       subUl.classList.add('submenu');
+      subUl.id = `navSubmenu${index}`;
       item.subpages.forEach(subpage => {
         const subLi = document.createElement('li');
         const subA = document.createElement('a');
         subA.textContent = subpage.name;
-        subA.href = subpage.link;
+        subA.href = siteLink(subpage.link);
         if (isCurrentPage(subpage.link)) {
           subA.classList.add('current');
+          subA.setAttribute('aria-current', 'page');
         }
         subLi.appendChild(subA);
         subUl.appendChild(subLi);
       });
       
-      li.appendChild(a);
+      li.classList.add('has-submenu');
+      li.appendChild(toggle);
       li.appendChild(subUl);
     } else {
       // Regular link
       const a = document.createElement('a');
       a.textContent = item.name;
-      a.href = item.link;
+      a.href = siteLink(item.link);
       if (isCurrentPage(item.link)) {
         a.classList.add('current');
+        a.setAttribute('aria-current', 'page');
       }
       li.appendChild(a);
     }
@@ -94,6 +119,188 @@ function renderNavigation() {
   navMenu.appendChild(ul);
 }
 
+/**
+ * Makes the navigation menu operable by mouse, touch, and keyboard
+ * 
+ * The menu button is a disclosure: it sets aria-expanded and toggles the
+ * `open` class on #siteMenu, which the CSS uses to grow the menu.
+ * - Mouse: opens on hover and closes shortly after the pointer leaves
+ * - Touch: opens on tap and closes on a tap outside the menu
+ * - Keyboard: Enter/Space toggle, ↑/↓ (and Home/End) move through the
+ *   visible items, →/← open and close submenus, Escape closes and returns
+ *   focus to the button that opened it, Tab out of the menu closes it
+ * 
+ * @returns {void}
+ */
+function initNavigationMenu() {
+  const container = document.getElementById('siteMenu');
+  const button = document.getElementById('menuToggle');
+  const navMenu = document.getElementById('navMenu');
+  if (!container || !button || !navMenu) return;
+
+  const HOVER_CLOSE_DELAY = 200; // ms after the mouse leaves
+  let closeTimer = null;
+
+  const isOpen = () => container.classList.contains('open');
+
+  // Links and submenu buttons that are currently showing, in order
+  const visibleItems = () => Array.from(navMenu.querySelectorAll('a, .submenu-toggle'))
+    .filter(item => !item.closest('.submenu') || item.closest('li.has-submenu').classList.contains('submenu-open'));
+
+  const setSubmenu = (li, open) => {
+    li.classList.toggle('submenu-open', open);
+    li.querySelector('.submenu-toggle').setAttribute('aria-expanded', String(open));
+    if (!open) delete li.dataset.hoverOpened;
+  };
+
+  const closeSubmenus = () => {
+    navMenu.querySelectorAll('li.has-submenu').forEach(li => setSubmenu(li, false));
+  };
+
+  const open = () => {
+    clearTimeout(closeTimer);
+    container.classList.add('open');
+    button.setAttribute('aria-expanded', 'true');
+  };
+
+  const close = (returnFocus) => {
+    clearTimeout(closeTimer);
+    if (!isOpen()) return;
+    container.classList.remove('open');
+    button.setAttribute('aria-expanded', 'false');
+    closeSubmenus();
+    if (returnFocus) button.focus();
+  };
+
+  const focusItem = (index) => {
+    const items = visibleItems();
+    if (!items.length) return;
+    items[(index + items.length) % items.length].focus();
+  };
+
+  // Tap or click; a keyboard "click" (detail 0) also moves into the menu
+  button.addEventListener('click', (e) => {
+    if (isOpen()) {
+      close(false);
+      return;
+    }
+    open();
+    if (e.detail === 0) focusItem(0);
+  });
+
+  button.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      open();
+      focusItem(e.key === 'ArrowDown' ? 0 : -1);
+    } else if (e.key === 'Escape' && isOpen()) {
+      close(true);
+    }
+  });
+
+  navMenu.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.submenu-toggle');
+    if (!toggle) return;
+    const li = toggle.parentElement;
+
+    // A click on a submenu the mouse just opened by hovering keeps it open
+    if (li.dataset.hoverOpened) {
+      delete li.dataset.hoverOpened;
+      return;
+    }
+    setSubmenu(li, !li.classList.contains('submenu-open'));
+  });
+
+  navMenu.addEventListener('keydown', (e) => {
+    const items = visibleItems();
+    const index = items.indexOf(document.activeElement);
+    const submenuItem = document.activeElement.closest('.submenu');
+    const parent = document.activeElement.closest('li.has-submenu');
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        focusItem(index + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        focusItem(index - 1);
+        break;
+      case 'Home':
+        e.preventDefault();
+        focusItem(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        focusItem(-1);
+        break;
+      case 'ArrowRight':
+        if (parent && !submenuItem) {
+          e.preventDefault();
+          setSubmenu(parent, true);
+          parent.querySelector('.submenu a').focus();
+        }
+        break;
+      case 'ArrowLeft':
+        if (parent) {
+          e.preventDefault();
+          setSubmenu(parent, false);
+          parent.querySelector('.submenu-toggle').focus();
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        if (submenuItem) {
+          setSubmenu(parent, false);
+          parent.querySelector('.submenu-toggle').focus();
+        } else {
+          close(true);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Tabbing out of the menu closes it
+  container.addEventListener('focusout', (e) => {
+    if (e.relatedTarget && !container.contains(e.relatedTarget)) {
+      close(false);
+    }
+  });
+
+  // Hover only for a real mouse; touch taps go through click instead.
+  // Keyboard focus inside the menu keeps it open when the mouse leaves.
+  container.addEventListener('pointerenter', (e) => {
+    if (e.pointerType === 'mouse') open();
+  });
+
+  container.addEventListener('pointerleave', (e) => {
+    if (e.pointerType !== 'mouse' || container.querySelector(':focus-visible')) return;
+    clearTimeout(closeTimer);
+    closeTimer = setTimeout(() => close(false), HOVER_CLOSE_DELAY);
+  });
+
+  navMenu.querySelectorAll('li.has-submenu').forEach((li) => {
+    li.addEventListener('pointerenter', (e) => {
+      if (e.pointerType !== 'mouse' || li.classList.contains('submenu-open')) return;
+      li.dataset.hoverOpened = 'true';
+      setSubmenu(li, true);
+    });
+    li.addEventListener('pointerleave', (e) => {
+      if (e.pointerType !== 'mouse' || li.querySelector(':focus-visible')) return;
+      setSubmenu(li, false);
+    });
+  });
+
+  // Outside click or tap
+  document.addEventListener('pointerdown', (e) => {
+    if (isOpen() && !container.contains(e.target)) {
+      close(false);
+    }
+  });
+}
+
 /**
  * Renders the site footer with contact information and notes
  * Uses footerConfig for content
@@ -121,76 +328,117 @@ function renderFooter() {
 }
 
 /**
- * Initializes the theme toggle button
+ * Initializes the theme picker
  * 
- * Creates a button that switches between dark and light themes with a
- * radial transition effect. Theme preference is saved to localStorage.
+ * Creates the theme button and a menu of every theme in themeConfig
+ * (config.js) plus "system". Picking one switches with a radial transition
+ * and saves the choice to localStorage (see theme.js).
  * 
  * Features:
- * - Radial wipe animation from button position
- * - SVG icons (sun/moon) that change based on current theme
- * - Persistent theme preference via localStorage
+ * - Radial wipe animation from button position, in the new theme's
+ *   transition color
+ * - SVG icons from the registry; the button shows the current preference
+ * - Menu keyboard support: ↑/↓, Home/End, Enter/Space, Escape
+ * - "system" follows OS light/dark changes live
+ * - Other open tabs pick up a change through the storage event
  * 
  * @returns {void}
  */
-function initThemeToggle() {
-  // Get saved theme or default to dark
-  const savedTheme = localStorage.getItem('theme') || 'dark';
-  document.documentElement.setAttribute('data-theme', savedTheme);
+function initThemePicker() {
+  let preference = getThemePreference();
+  applyTheme(preference);
 
-  // Create theme toggle button
+  const icon = (markup) => `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">${markup}</svg>`;
+  const optionOf = (key) => (key === 'system' ? themeConfig.system : themeConfig.themes[key]);
+
+  // Create theme button
   const themeToggle = document.createElement('button');
+  themeToggle.type = 'button';
   themeToggle.className = 'theme-toggle';
-  themeToggle.setAttribute('aria-label', 'Toggle theme');
-  
-  // SVG icons for sun and moon
-  const sunIcon = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-    <circle cx="12" cy="12" r="4"></circle>
-    <line x1="12" y1="1" x2="12" y2="3"></line>
-    <line x1="12" y1="21" x2="12" y2="23"></line>
-    <line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line>
-    <line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line>
-    <line x1="1" y1="12" x2="3" y2="12"></line>
-    <line x1="21" y1="12" x2="23" y2="12"></line>
-    <line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line>
-    <line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line>
-  </svg>`;
-  
-  const moonIcon = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-    <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path>
-  </svg>`;
-  
-  themeToggle.innerHTML = savedTheme === 'dark' ? sunIcon : moonIcon;
+  themeToggle.setAttribute('aria-haspopup', 'true');
+  themeToggle.setAttribute('aria-expanded', 'false');
+  themeToggle.setAttribute('aria-controls', 'themeMenu');
+
+  // Create the menu of themes
+  const menu = document.createElement('ul');
+  menu.className = 'theme-menu';
+  menu.id = 'themeMenu';
+  menu.setAttribute('role', 'menu');
+  menu.setAttribute('aria-label', 'Theme');
+  menu.hidden = true;
+
+  getThemePreferences().forEach((key) => {
+    const li = document.createElement('li');
+    li.setAttribute('role', 'none');
+
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.className = 'theme-option';
+    option.dataset.themeOption = key;
+    option.setAttribute('role', 'menuitemradio');
+    option.innerHTML = `${icon(optionOf(key).icon)}<span>${optionOf(key).label}</span>`;
+
+    li.appendChild(option);
+    menu.appendChild(li);
+  });
+
+  const options = Array.from(menu.querySelectorAll('.theme-option'));
+
+  const updateButton = () => {
+    const label = `Theme: ${optionOf(preference).label}`;
+    themeToggle.innerHTML = icon(optionOf(preference).icon);
+    themeToggle.setAttribute('aria-label', label);
+    themeToggle.title = label;
+    options.forEach(option => option.setAttribute('aria-checked', String(option.dataset.themeOption === preference)));
+  };
+
+  const isOpen = () => !menu.hidden;
+
+  const openMenu = () => {
+    menu.hidden = false;
+    themeToggle.setAttribute('aria-expanded', 'true');
+    (options.find(option => option.dataset.themeOption === preference) || options[0]).focus();
+  };
+
+  const closeMenu = (returnFocus) => {
+    if (!isOpen()) return;
+    menu.hidden = true;
+    themeToggle.setAttribute('aria-expanded', 'false');
+    if (returnFocus) themeToggle.focus();
+  };
   
+  updateButton();
   document.body.appendChild(themeToggle);
+  document.body.appendChild(menu);
 
-  themeToggle.addEventListener('click', (e) => {
+  const choose = (next) => {
     const currentTheme = document.documentElement.getAttribute('data-theme');
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+    preference = next;
+    saveThemePreference(preference);
+
+    const newTheme = applyTheme(preference);
+    updateButton();
+
+    // e.g. system -> light while the OS is already light: nothing to animate
+    if (newTheme === currentTheme) {
+      return;
+    }
     
     // Get button position for radial transition
     const rect = themeToggle.getBoundingClientRect();
     const x = rect.left + rect.width / 2;
     const y = rect.top + rect.height / 2;
     
-    // Get new theme background color
-    const newBgColor = newTheme === 'dark' ? '#0f172a' : '#ffffff';
-    
     // Create radial transition overlay
     const overlay = document.createElement('div');
     overlay.className = 'theme-transition-overlay';
     overlay.style.setProperty('--origin-x', x + 'px');
     overlay.style.setProperty('--origin-y', y + 'px');
-    overlay.style.backgroundColor = newBgColor;
+    overlay.style.backgroundColor = themeConfig.themes[newTheme].transition;
     
     // Insert at the beginning of body (behind all content)
     document.body.insertBefore(overlay, document.body.firstChild);
     
-    // Change theme immediately (for text/other elements)
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem('theme', newTheme);
-    themeToggle.innerHTML = newTheme === 'dark' ? sunIcon : moonIcon;
-    
     // Trigger radial background transition
     requestAnimationFrame(() => {
       overlay.classList.add('active');
@@ -205,6 +453,86 @@ function initThemeToggle() {
         }
       }, 600);
     }, 600);
+  };
+
+  themeToggle.addEventListener('click', () => {
+    if (isOpen()) {
+      closeMenu(false);
+    } else {
+      openMenu();
+    }
+  });
+
+  themeToggle.addEventListener('keydown', (e) => {
+    if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !isOpen()) {
+      e.preventDefault();
+      openMenu();
+    }
+  });
+
+  menu.addEventListener('click', (e) => {
+    const option = e.target.closest('.theme-option');
+    if (!option) return;
+    closeMenu(true);
+    choose(option.dataset.themeOption);
+  });
+
+  menu.addEventListener('keydown', (e) => {
+    const index = options.indexOf(document.activeElement);
+    const focusAt = (i) => options[(i + options.length) % options.length].focus();
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        focusAt(index + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        focusAt(index - 1);
+        break;
+      case 'Home':
+        e.preventDefault();
+        focusAt(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        focusAt(-1);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        closeMenu(true);
+        break;
+      case 'Tab':
+        closeMenu(false);
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Outside click or tap
+  document.addEventListener('pointerdown', (e) => {
+    if (isOpen() && !menu.contains(e.target) && !themeToggle.contains(e.target)) {
+      closeMenu(false);
+    }
+  });
+
+  // Follow OS light/dark changes while on "system"
+  if (systemThemeQuery) {
+    systemThemeQuery.addEventListener('change', () => {
+      if (preference === 'system') {
+        applyTheme(preference);
+      }
+    });
+  }
+
+  // Keep other tabs in sync (the storage event only fires in the other tabs)
+  window.addEventListener('storage', (e) => {
+    if (e.key !== THEME_STORAGE_KEY && e.key !== null) return;
+    clearLinkedTheme();
+    preference = getThemePreference();
+    applyTheme(preference);
+    updateButton();
   });
 }
 
@@ -229,7 +557,7 @@ function initHomeButton() {
   // Create home button
   const homeButton = document.createElement('a');
   homeButton.className = 'home-button';
-  homeButton.href = 'index.html';
+  homeButton.href = siteLink('index.html');
   homeButton.setAttribute('aria-label', 'Go to homepage');
   
   // SVG icon for home (vector lineart)
@@ -255,7 +583,8 @@ function initHomeButton() {
  */
 document.addEventListener('DOMContentLoaded', function() {
   renderNavigation();
+  initNavigationMenu();
   renderFooter();
-  initThemeToggle();
+  initThemePicker();
   initHomeButton();
 });
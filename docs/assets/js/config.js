@@ -2,7 +2,7 @@
  * Site Configuration
  * 
  * Centralized configuration for the website including navigation structure,
- * cycling text roles, and other site-wide constants.
+ * cycling text roles, the theme registry, and other site-wide constants.
  * 
  * @fileoverview Configuration constants for nmokey.com
  */
@@ -10,46 +10,64 @@
 /**
  * Navigation structure for the site
  * Defines the menu hierarchy and page links
+ *
+ * `home` is the homepage (not shown in the menu). Each entry with a link
+ * can carry a `sitemap` object with `priority` (0.0-1.0) and `changefreq`
+ * (always, hourly, daily, weekly, monthly, yearly, never), which
+ * scripts/sitemap.js uses when generating sitemap.xml.
  * @type {Object}
  */
 const navigationData = {
+  home: {
+    name: "home",
+    link: "index.html",
+    sitemap: { priority: 1.0, changefreq: "monthly" }
+  },
   pages: [
     {
       name: "about",
-      link: "about.html"
+      link: "about.html",
+      sitemap: { priority: 0.8, changefreq: "monthly" }
     },
     {
       name: "portfolios",
       subpages: [
-        { name: "art", link: "art.html" },
-        { name: "music", link: "music.html" },
-        { name: "projects", link: "projects.html" }
+        { name: "art", link: "art.html", sitemap: { priority: 0.6, changefreq: "monthly" } },
+        { name: "music", link: "music.html", sitemap: { priority: 0.6, changefreq: "monthly" } },
+        { name: "projects", link: "projects.html", sitemap: { priority: 0.8, changefreq: "monthly" } }
       ]
     },
     {
       name: "random",
       subpages: [
-        { name: "thoughts", link: "thoughts.html" }
+        { name: "thoughts", link: "thoughts.html", sitemap: { priority: 0.7, changefreq: "weekly" } }
       ]
     }
   ]
 };
 
 /**
- * Roles/identities for the cycling subtitle on homepage
- * These rotate through with a typewriter effect
- * @type {string[]}
+ * Lists of phrases for typewriter.js, by name
+ * An element with data-typewriter="<name>" types the phrases of that list
+ * in turn (`roles` is the homepage subtitle). Each phrase is a string, or
+ * an object with:
+ * - text: the phrase
+ * - href: makes the phrase a link
+ * - color: CSS color for the phrase, e.g. 'var(--color-accent)'
+ * @type {Object<string, Array<string|Object>>}
  */
-const cyclingRoles = [
-  'physicist',
-  'programmer',
-  'jazz pianist',
-  'archer',
-  'visual artist',
-  'tennis player',
-  'skier',
-  'problem solver',
-];
+const typewriterLists = {
+  roles: [
+    'physicist',
+    { text: 'programmer', href: 'projects.html' },
+    { text: 'jazz pianist', href: 'music.html' },
+    'archer',
+    { text: 'visual artist', href: 'art.html' },
+    'tennis player',
+    'skier',
+    { text: 'problem solver', color: 'var(--color-accent)' },
+  ]
+};
 
 /**
  * Footer content configuration
@@ -64,3 +82,239 @@ const footerConfig = {
   }
 };
 
+/**
+ * Page navigation configuration (page-nav.js)
+ * - compactBreakpoint: widest viewport, in pixels, that swaps the sidebar
+ *   for the floating "current section" pill and its bottom sheet
+ * @type {Object}
+ */
+const pageNavConfig = {
+  compactBreakpoint: 768
+};
+
+
+/**
+ * Theme registry
+ *
+ * Every theme the picker offers. main.css defines the dark theme in :root;
+ * each theme here lists the CSS variables it overrides, which theme.js sets
+ * on <html> (the <html> element also gets data-theme="<key>" and
+ * data-appearance="light|dark" for the few component rules that differ
+ * between light and dark backgrounds).
+ *
+ * Per theme:
+ * - label: name shown in the picker
+ * - appearance: "light" or "dark" (also sets the browser color-scheme)
+ * - transition: background color of the radial wipe when switching to it
+ * - icon: inner SVG markup for the 24x24 picker icon
+ * - variables: CSS custom properties to override
+ * - vectorField: background arrow colors as [r, g, b] near and far from
+ *   the cursor, with their opacities
+ *
+ * `system` is the default preference: it follows the operating system's
+ * light/dark setting using the two themes it names.
+ * @type {Object}
+ */
+const themeConfig = {
+  system: {
+    label: 'system',
+    light: 'light',
+    dark: 'dark',
+    icon: '<rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect><line x1="8" y1="21" x2="16" y2="21"></line><line x1="12" y1="17" x2="12" y2="21"></line>'
+  },
+  themes: {
+    dark: {
+      label: 'dark',
+      appearance: 'dark',
+      transition: '#0f172a',
+      icon: '<path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path>',
+      variables: {}, // The :root defaults in main.css
+      vectorField: { near: [96, 165, 250], far: [66, 185, 210], opacity: [0.8, 0.2] }
+    },
+    light: {
+      label: 'light',
+      appearance: 'light',
+      transition: '#ffffff',
+      icon: '<circle cx="12" cy="12" r="4"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line>',
+      variables: {
+        '--color-primary': '#2563eb',
+        '--color-primary-hover': '#1d4ed8',
+        '--color-primary-light': '#dbeafe',
+        '--color-text': '#1f2937',
+        '--color-text-light': '#6b7280',
+        '--color-text-lighter': '#9ca3af',
+        '--color-bg': '#ffffff',
+        '--color-bg-alt': '#f9fafb',
+        '--color-bg-hover': '#f3f4f6',
+        '--color-border': '#e5e7eb',
+        '--color-border-hover': '#d1d5db',
+        '--color-accent': '#8b5cf6',
+        '--color-accent-hover': '#7c3aed',
+        '--shadow-sm': '0 1px 2px 0 rgba(0, 0, 0, 0.05)',
+        '--shadow': '0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06)',
+        '--shadow-md': '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+        '--shadow-lg': '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)',
+        '--shadow-xl': '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)'
+      },
+      vectorField: { near: [37, 99, 235], far: [57, 139, 185], opacity: [0.7, 0.15] }
+    },
+    'high-contrast': {
+      label: 'high contrast',
+      appearance: 'dark',
+      transition: '#000000',
+      icon: '<circle cx="12" cy="12" r="10"></circle><path d="M12 2a10 10 0 0 1 0 20z" fill="currentColor"></path>',
+      variables: {
+        '--color-primary': '#ffd700',
+        '--color-primary-hover': '#ffea70',
+        '--color-primary-light': '#3d3300',
+        '--color-text': '#ffffff',
+        '--color-text-light': '#ffffff',
+        '--color-text-lighter': '#e0e0e0',
+        '--color-bg': '#000000',
+        '--color-bg-alt': '#0d0d0d',
+        '--color-bg-hover': '#262626',
+        '--color-border': '#ffffff',
+        '--color-border-hover': '#ffd700',
+        '--color-accent': '#00e5ff',
+        '--color-accent-hover': '#80f2ff'
+      },
+      vectorField: { near: [255, 215, 0], far: [255, 255, 255], opacity: [0.9, 0.35] }
+    },
+    paper: {
+      label: 'paper',
+      appearance: 'light',
+      transition: '#f4ecd8',
+      icon: '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="8" y1="13" x2="16" y2="13"></line><line x1="8" y1="17" x2="13" y2="17"></line>',
+      variables: {
+        '--color-primary': '#8b4513',
+        '--color-primary-hover': '#6b3410',
+        '--color-primary-light': '#ead9bb',
+        '--color-text': '#3b2f22',
+        '--color-text-light': '#6b5a45',
+        '--color-text-lighter': '#968471',
+        '--color-bg': '#f4ecd8',
+        '--color-bg-alt': '#efe4cb',
+        '--color-bg-hover': '#e8dabb',
+        '--color-border': '#dccbaa',
+        '--color-border-hover': '#c9b38a',
+        '--color-accent': '#a0522d',
+        '--color-accent-hover': '#7f4024',
+        '--shadow-sm': '0 1px 2px 0 rgba(59, 47, 34, 0.06)',
+        '--shadow': '0 1px 3px 0 rgba(59, 47, 34, 0.1), 0 1px 2px 0 rgba(59, 47, 34, 0.06)',
+        '--shadow-md': '0 4px 6px -1px rgba(59, 47, 34, 0.1), 0 2px 4px -1px rgba(59, 47, 34, 0.06)',
+        '--shadow-lg': '0 10px 15px -3px rgba(59, 47, 34, 0.12), 0 4px 6px -2px rgba(59, 47, 34, 0.05)',
+        '--shadow-xl': '0 20px 25px -5px rgba(59, 47, 34, 0.12), 0 10px 10px -5px rgba(59, 47, 34, 0.04)'
+      },
+      vectorField: { near: [139, 69, 19], far: [150, 132, 113], opacity: [0.55, 0.12] }
+    },
+    autumn: {
+      label: 'autumn',
+      appearance: 'dark',
+      transition: '#1c1410',
+      icon: '<path d="M11 20A7 7 0 0 1 9.8 6.1C15.5 5 17 4.48 19 2c1 2 2 4.18 2 8 0 5.5-4.78 10-10 10z"></path><path d="M2 21c0-3 1.85-5.36 5.08-6C9.5 14.52 12 13 13 12"></path>',
+      variables: {
+        '--color-primary': '#f59e0b',
+        '--color-primary-hover': '#d97706',
+        '--color-primary-light': '#5a3410',
+        '--color-text': '#fbf3e8',
+        '--color-text-light': '#e2cfb8',
+        '--color-text-lighter': '#b39a80',
+        '--color-bg': '#1c1410',
+        '--color-bg-alt': '#2a1e17',
+        '--color-bg-hover': '#3d2b20',
+        '--color-border': '#3d2b20',
+        '--color-border-hover': '#5a4030',
+        '--color-accent': '#ef4444',
+        '--color-accent-hover': '#dc2626'
+      },
+      vectorField: { near: [245, 158, 11], far: [220, 80, 50], opacity: [0.8, 0.2] }
+    }
+  }
+};
+
+/**
+ * Custom vector field models
+ *
+ * Fields written as math, for pages that want something other than the
+ * built-in models (classic, coulomb, wire, gravity, vortex in
+ * vector-field.js). A page picks one by key, like a built-in, with
+ * `vector_field_model` in its front matter.
+ *
+ * Per model:
+ * - label: name for menus
+ * - vx, vy: the field's components as expressions of x, y (y up, the
+ *   shorter side of the screen spans -1 to 1, 0 at the centre), t
+ *   (seconds), r and theta; + - * / % ^, parentheses, sin, cos, atan2,
+ *   exp, sqrt, abs, min, max, ... and the constants pi and e
+ * - scale: multiplier for the result (optional, default 1)
+ * - sources: built-in model for the pointers and placed charges on top of
+ *   the expression (optional, default "classic"), or false to ignore them
+ * @type {Object}
+ */
+const vectorFieldModels = {
+  saddle: {
+    label: 'saddle',
+    vx: 'x',
+    vy: '-y'
+  },
+  'rotating-dipole': {
+    label: 'rotating dipole',
+    vx: '(3 * (cos(t / 2) * x + sin(t / 2) * y) * x / (r^2 + 0.01) - cos(t / 2)) / (r^2 + 0.01)^1.5',
+    vy: '(3 * (cos(t / 2) * x + sin(t / 2) * y) * y / (r^2 + 0.01) - sin(t / 2)) / (r^2 + 0.01)^1.5',
+    scale: 0.15
+  }
+};
+
+/**
+ * Vector field presets
+ *
+ * Named configurations for the background field. A page picks one with
+ * `vector_field` in its front matter, which renders
+ * <body data-vector-field="...">, and can override options after the name:
+ * `vector_field: quiet opacity=0.3`. "default" applies to every page and
+ * sits under the other presets. Thoughts posts use "reading" unless they
+ * set their own; the 404 page uses "lost".
+ *
+ * Options (all optional; bad values are skipped with a console warning):
+ * - enabled: false to leave the field off the page
+ * - mode: "arrows", "lines", or "flow"
+ * - model: a built-in field model or a vectorFieldModels key
+ * - gridSize: spacing between arrows, 10-200 (pixels)
+ * - lineLength: length of each arrow, 5-100 (pixels)
+ * - colorFalloff: distance at which arrows reach the theme's far color, 50-2000 (pixels)
+ * - opacity: canvas opacity, 0-1
+ * - ambient: false to skip the orbiting charges shown while idle
+ * @type {Object}
+ */
+const vectorFieldPresets = {
+  default: {
+    mode: 'arrows',
+    model: 'classic',
+    gridSize: 40,
+    lineLength: 25,
+    colorFalloff: 300,
+    opacity: 0.6,
+    ambient: true
+  },
+  // Sparser and fainter, for pages with more to read
+  quiet: {
+    gridSize: 56,
+    lineLength: 18,
+    opacity: 0.35,
+    ambient: false
+  },
+  // Long-form writing: no field at all
+  reading: {
+    enabled: false
+  },
+  // The 404 page: everything drains away
+  lost: {
+    mode: 'flow',
+    model: 'vortex',
+    colorFalloff: 500,
+    opacity: 0.5
+  },
+  off: {
+    enabled: false
+  }
+};
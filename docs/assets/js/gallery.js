@@ -0,0 +1,339 @@
+/**
+ * @file gallery.js
+ * @description Art gallery lightbox. Opens the images on portfolio cards
+ * (see portfolio.js and content/portfolio.json) in a full-screen lightbox.
+ *
+ * Each .portfolio-group is a collection; the lightbox moves through the
+ * group's cards that are currently shown, in their current order, so it
+ * follows the portfolio filter and sort. Cards carry their item id, so
+ * art.html#frog opens the frog straight away.
+ */
+
+/**
+ * Art Gallery Component
+ * Wires card images to the lightbox dialog.
+ *
+ * Lightbox controls:
+ * - Arrow keys or swipe to move within a collection
+ * - Escape, the close button, or the backdrop to close
+ * - Tab/Shift+Tab stay inside the dialog while it is open
+ */
+class Gallery {
+  constructor() {
+    this.container = document.querySelector('[data-portfolio]');
+    this.artworks = new Map(); // id -> artwork
+    this.current = null;
+    this.lastFocused = null;
+    this.touchStart = null;
+    this.swipeThreshold = 50; // Minimum horizontal travel (px) for a swipe
+
+    if (!this.container) {
+      return;
+    }
+
+    this.init();
+  }
+
+  /**
+   * Initialize the gallery
+   */
+  init() {
+    this.parseArtworks();
+    if (this.artworks.size === 0) {
+      return; // Nothing to show yet
+    }
+
+    this.createLightbox();
+    this.bindEvents();
+    this.openFromHash();
+  }
+
+  /**
+   * Find every card with an image and remember its collection
+   */
+  parseArtworks() {
+    this.container.querySelectorAll('.portfolio-card').forEach((card) => {
+      const thumb = card.querySelector('.portfolio-card-media');
+      const image = thumb ? thumb.querySelector('img') : null;
+      if (!image || !card.id) {
+        return;
+      }
+
+      const group = card.closest('.portfolio-group');
+      const heading = group ? group.querySelector('h2') : null;
+      const title = card.querySelector('.portfolio-card-title');
+
+      const artwork = {
+        id: card.id,
+        title: title ? title.textContent.trim() : (image.alt || 'untitled'),
+        description: image.alt || '',
+        src: image.getAttribute('src'),
+        collectionName: heading ? heading.textContent.trim() : '',
+        card,
+        group,
+        thumb
+      };
+
+      thumb.setAttribute('aria-label', `${artwork.title} - open larger view`);
+      thumb.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.open(artwork);
+      });
+
+      this.artworks.set(artwork.id, artwork);
+    });
+  }
+
+  /**
+   * Artworks in the same collection that are currently shown, in page order
+   * @param {Object} artwork - Artwork whose collection to list
+   * @returns {Object[]} Visible artworks
+   */
+  collectionOf(artwork) {
+    const scope = artwork.group || this.container;
+    return Array.from(scope.querySelectorAll('.portfolio-card:not([hidden])'))
+      .map(card => this.artworks.get(card.id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Create the lightbox dialog (hidden until an artwork is opened)
+   */
+  createLightbox() {
+    const closeIcon = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <line x1="18" y1="6" x2="6" y2="18"></line>
+      <line x1="6" y1="6" x2="18" y2="18"></line>
+    </svg>`;
+
+    const prevIcon = `<svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <polyline points="15 18 9 12 15 6"></polyline>
+    </svg>`;
+
+    const nextIcon = `<svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <polyline points="9 18 15 12 9 6"></polyline>
+    </svg>`;
+
+    this.lightbox = document.createElement('div');
+    this.lightbox.className = 'lightbox';
+    this.lightbox.setAttribute('role', 'dialog');
+    this.lightbox.setAttribute('aria-modal', 'true');
+    this.lightbox.setAttribute('aria-labelledby', 'lightboxTitle');
+    this.lightbox.tabIndex = -1; // Clicks on the image focus the dialog, not <body>
+    this.lightbox.hidden = true;
+    this.lightbox.innerHTML = `
+      <div class="lightbox-backdrop"></div>
+      <figure class="lightbox-figure">
+        <img class="lightbox-image" alt="">
+        <figcaption class="lightbox-caption">
+          <h3 class="lightbox-title" id="lightboxTitle"></h3>
+          <p class="lightbox-description"></p>
+          <p class="lightbox-counter" aria-live="polite"></p>
+        </figcaption>
+      </figure>
+      <button type="button" class="lightbox-button lightbox-prev" aria-label="Previous artwork">${prevIcon}</button>
+      <button type="button" class="lightbox-button lightbox-next" aria-label="Next artwork">${nextIcon}</button>
+      <button type="button" class="lightbox-button lightbox-close" aria-label="Close">${closeIcon}</button>
+    `;
+
+    this.image = this.lightbox.querySelector('.lightbox-image');
+    this.title = this.lightbox.querySelector('.lightbox-title');
+    this.description = this.lightbox.querySelector('.lightbox-description');
+    this.counter = this.lightbox.querySelector('.lightbox-counter');
+    this.prevButton = this.lightbox.querySelector('.lightbox-prev');
+    this.nextButton = this.lightbox.querySelector('.lightbox-next');
+    this.closeButton = this.lightbox.querySelector('.lightbox-close');
+
+    document.body.appendChild(this.lightbox);
+  }
+
+  /**
+   * Bind lightbox controls, keyboard, swipe, and hash listeners
+   */
+  bindEvents() {
+    this.prevButton.addEventListener('click', () => this.step(-1));
+    this.nextButton.addEventListener('click', () => this.step(1));
+    this.closeButton.addEventListener('click', () => this.close());
+    this.lightbox.querySelector('.lightbox-backdrop').addEventListener('click', () => this.close());
+
+    // On the document, so the keys still work if focus ends up outside
+    document.addEventListener('keydown', (e) => {
+      if (this.current) {
+        this.handleKeydown(e);
+      }
+    });
+
+    this.lightbox.addEventListener('touchstart', (e) => {
+      const touch = e.changedTouches[0];
+      this.touchStart = { x: touch.clientX, y: touch.clientY };
+    }, { passive: true });
+
+    this.lightbox.addEventListener('touchend', (e) => {
+      if (!this.touchStart) return;
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - this.touchStart.x;
+      const dy = touch.clientY - this.touchStart.y;
+      this.touchStart = null;
+
+      // Only horizontal swipes navigate; vertical drags are ignored
+      if (Math.abs(dx) > this.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+        this.step(dx < 0 ? 1 : -1);
+      }
+    });
+
+    window.addEventListener('hashchange', () => this.openFromHash());
+  }
+
+  /**
+   * Keyboard handling while the lightbox is open
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === 'ArrowLeft') {
+      e.preventDefault();
+      this.step(-1);
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      this.step(1);
+    } else if (e.key === 'Tab') {
+      this.trapFocus(e);
+    }
+  }
+
+  /**
+   * Keep Tab focus cycling through the lightbox's visible buttons, and
+   * bring it back in if it got outside
+   * @param {KeyboardEvent} e - Tab keydown event
+   */
+  trapFocus(e) {
+    const focusable = Array.from(this.lightbox.querySelectorAll('button')).filter(button => !button.hidden);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    const inside = this.lightbox.contains(document.activeElement) && document.activeElement !== this.lightbox;
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Open the artwork named in the URL hash, or close if the hash is gone
+   * (or can't be decoded)
+   */
+  openFromHash() {
+    let id = window.location.hash.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch (error) {
+      id = ''; // Malformed escape - no artwork
+    }
+    const artwork = this.artworks.get(id);
+
+    if (artwork) {
+      this.open(artwork);
+    } else if (this.current) {
+      this.close();
+    }
+  }
+
+  /**
+   * Open the lightbox on an artwork
+   * @param {Object} artwork - Artwork to show
+   */
+  open(artwork) {
+    if (!this.current) {
+      this.lastFocused = document.activeElement;
+      this.lightbox.hidden = false;
+      document.body.classList.add('lightbox-open');
+    }
+
+    this.show(artwork);
+    this.closeButton.focus();
+  }
+
+  /**
+   * Display an artwork in the open lightbox and update the URL
+   * @param {Object} artwork - Artwork to show
+   */
+  show(artwork) {
+    const artworks = this.collectionOf(artwork);
+    const index = Math.max(artworks.indexOf(artwork), 0);
+    this.current = artwork;
+
+    this.image.src = artwork.src;
+    this.image.alt = artwork.description;
+    this.title.textContent = artwork.title;
+    this.description.textContent = artwork.description;
+    this.description.hidden = !artwork.description || artwork.description === artwork.title;
+
+    const collectionName = artwork.collectionName ? ` · ${artwork.collectionName}` : '';
+    this.counter.textContent = `${index + 1} / ${Math.max(artworks.length, 1)}${collectionName}`;
+
+    // Navigation stays inside the collection and stops at either end
+    this.prevButton.hidden = index === 0;
+    this.nextButton.hidden = index >= artworks.length - 1;
+
+    if (window.location.hash !== `#${artwork.id}`) {
+      history.replaceState(null, '', `#${artwork.id}`);
+    }
+  }
+
+  /**
+   * Move to the previous/next artwork in the current collection
+   * @param {number} direction - -1 for previous, 1 for next
+   */
+  step(direction) {
+    if (!this.current) return;
+
+    const artworks = this.collectionOf(this.current);
+    const next = artworks[artworks.indexOf(this.current) + direction];
+    if (next) {
+      this.show(next);
+
+      // Keep focus on a visible control when an arrow button disappears
+      if (document.activeElement && document.activeElement.hidden) {
+        this.closeButton.focus();
+      }
+    }
+  }
+
+  /**
+   * Close the lightbox and return focus to the thumbnail
+   */
+  close() {
+    if (!this.current) return;
+
+    const { thumb } = this.current;
+    this.current = null;
+    this.lightbox.hidden = true;
+    this.image.removeAttribute('src');
+    document.body.classList.remove('lightbox-open');
+
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    const target = this.lastFocused && document.body.contains(this.lastFocused) && this.lastFocused !== document.body
+      ? this.lastFocused
+      : thumb;
+    if (target) {
+      target.focus();
+    }
+  }
+}
+
+// Initialize the gallery when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    new Gallery();
+  });
+} else {
+  new Gallery();
+}
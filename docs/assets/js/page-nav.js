@@ -5,7 +5,23 @@
  * section with smooth expanding text animation.
  * 
  * This component is designed to work on any page with H1 headings, regardless
- * of the specific HTML structure or class names used.
+ * of the specific HTML structure or class names used. Deeper headings can be
+ * included with data-levels on #pageNav ("2" for H1-H2, "1-3", "2-3"); they
+ * nest under their parent heading, and only the branch holding the current
+ * section is expanded.
+ *
+ * Scroll spy: a section is current once its heading reaches the header
+ * offset (--header-offset in main.css, the space the fixed buttons take).
+ * Heading positions are re-measured whenever the page changes size or
+ * content (images loading, fonts swapping, resizes), and the current
+ * section is mirrored into the URL hash, so reloads and back/forward
+ * return to it. Each item also shows how much of its section has been
+ * read, as an underline that fills in (--section-progress).
+ *
+ * Compact mode: at or below pageNavConfig.compactBreakpoint (config.js)
+ * the sidebar gives way to a floating pill naming the current section.
+ * Tapping it opens a bottom sheet listing every section; swipe the sheet
+ * down, tap outside it, or press Escape to close it.
  */
 
 /**
@@ -13,22 +29,43 @@
  * Creates a right-justified navigation sidebar that tracks scroll position
  * and highlights the current section with expanding text.
  * 
- * Works with any page structure - finds H1 elements and creates navigation
- * items for them. Automatically generates IDs if headings don't have them.
+ * Works with any page structure - finds H1 elements (and H2/H3 when asked)
+ * and creates navigation items for them. Automatically generates IDs if
+ * headings don't have them.
  */
 class PageNavigation {
   constructor() {
     this.navContainer = document.getElementById('pageNav');
     this.sections = [];
     this.currentSection = null;
-    this.observer = null;
     this.navItems = new Map();
+    this.contentArea = null;
+    this.contentEnd = 0; // Document position of the end of the content
+    this.headerOffset = 120; // Read from --header-offset in init()
+    this.geometryStale = true; // Heading positions need measuring
+    this.updateScheduled = false;
+    this.restoredScroll = null; // Scroll position set by restoreFromHash()
+    this.mirrorHash = false; // Set once the reader scrolls or picks a section
+    this.resizeObserver = null;
+    this.mutationObserver = null;
+    this.levels = [1]; // Heading levels listed (from data-levels)
+    this.toggled = new Map(); // Branches opened or closed by hand: id -> expanded
     this.fadeThreshold = 100; // Scroll position at which nav fades in/out
+    this.compactBreakpoint = 768; // Widest viewport (px) using the pill and sheet
+    this.compact = false;
+    this.sheetItems = new Map(); // Section ID -> bottom sheet item
+    this.dismissThreshold = 80; // Downward swipe (px) that closes the sheet
+    this.touchStart = null;
     
     if (!this.navContainer) {
       return; // Page navigation not needed on this page
     }
 
+    this.levels = this.parseLevels(this.navContainer.dataset.levels);
+    if (typeof pageNavConfig !== 'undefined' && Number.isFinite(pageNavConfig.compactBreakpoint)) {
+      this.compactBreakpoint = pageNavConfig.compactBreakpoint;
+    }
+
     // Initially hide navigation (at top of page)
     this.navContainer.style.opacity = '0';
     this.navContainer.style.pointerEvents = 'none';
@@ -40,22 +77,59 @@ class PageNavigation {
    * Initialize the page navigation
    */
   init() {
+    const offset = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--header-offset'));
+    if (!Number.isNaN(offset)) {
+      this.headerOffset = offset;
+    }
+
     this.parseSections();
     this.renderNavigation();
-    this.setupIntersectionObserver();
+    this.renderSheet();
+    this.setupCompactMode();
+    this.setupGeometryObservers();
+    this.setupHistory(); // Before the first update, which would clear the hash at the top
     this.setupScrollListener();
     this.setupFadeListener();
   }
 
   /**
-   * Parse all H1 headings from the page (Level 1 headers only)
+   * Read the heading levels to list from data-levels
+   * "2" means H1-H2, "1-3" and "2-3" are ranges; anything else falls back
+   * to H1 only with a console warning
+   * @param {string} [value] - data-levels attribute
+   * @returns {number[]} Levels, e.g. [1, 2]
+   */
+  parseLevels(value) {
+    if (!value) {
+      return [1];
+    }
+
+    const match = /^\s*([1-3])(?:\s*-\s*([1-3]))?\s*$/.exec(value);
+    if (!match) {
+      console.warn(`PageNavigation: ignoring data-levels="${value}" (expected 1-3, or a range like 1-3)`);
+      return [1];
+    }
+
+    const from = match[2] ? Number(match[1]) : 1;
+    const to = Number(match[2] || match[1]);
+    const levels = [];
+    for (let level = Math.min(from, to); level <= Math.max(from, to); level++) {
+      levels.push(level);
+    }
+    return levels;
+  }
+
+  /**
+   * Parse the headings to list from the page (H1 by default, see data-levels)
    * This method is robust and works with any page structure
    */
   parseSections() {
-    // Find all H1 elements in the main content area
+    // Find the headings in the main content area
     // Look in common content containers, or fall back to entire document
     const contentArea = document.querySelector('main, .page-content, .content, article') || document.body;
-    const headings = contentArea.querySelectorAll('h1');
+    this.contentArea = contentArea;
+    const headings = contentArea.querySelectorAll(this.levels.map(level => `h${level}`).join(', '));
+    const parents = []; // Innermost open section at each level while walking down the page
     
     headings.forEach((heading, index) => {
       // Skip headings that are part of the hero section or navigation
@@ -63,40 +137,64 @@ class PageNavigation {
         return;
       }
 
+      // Find the parent section or create a reference point: a section
+      // this heading opens (e.g. section.content-subsection > h2) shares
+      // its ID and is tracked as a whole
+      const container = heading.closest('section, article, div.content-section, div.content-subsection');
+      const opensContainer = container && container.querySelector('h1, h2, h3, h4, h5, h6') === heading;
+      const sectionElement = opensContainer ? container : heading;
+
       // Get or create an ID for the heading
-      let id = heading.id;
+      let id = heading.id || (opensContainer && container.id);
       if (!id) {
         // Generate a slug from the heading text
-        id = this.generateId(heading.textContent.trim(), index);
+        id = this.generateId(this.headingText(heading), index);
         heading.id = id;
       }
 
-      // Find the parent section or create a reference point
-      // Look for a parent section, or use the heading's position
-      let sectionElement = heading.closest('section, article, div.content-section, div.content-subsection');
-      if (!sectionElement) {
-        // If no section found, create a wrapper or use the heading itself
-        sectionElement = heading;
-      }
+      const text = this.headingText(heading);
+      const level = Number(heading.tagName.charAt(1));
 
-      const text = heading.textContent.trim();
-      
-      // Get position for scroll tracking
-      const rect = heading.getBoundingClientRect();
-      const offset = window.scrollY + rect.top;
+      // Nest under the closest heading above with a lower level
+      parents.length = level;
+      const parent = parents.slice(0, level).reverse().find(Boolean) || null;
+      parents[level] = id;
 
       this.sections.push({
         id,
         text,
-        level: 1, // Only Level 1 headers
+        level,
+        parent, // ID of the enclosing section, or null at the top level
         element: sectionElement,
         headingElement: heading,
-        offset: offset - 100 // Offset for better scroll detection
+        offset: 0 // Document position of the heading, set by measure()
       });
     });
 
-    // Sort by offset position
-    this.sections.sort((a, b) => a.offset - b.offset);
+    this.measure();
+  }
+
+  /**
+   * Measure every heading's position in the document, in one batch
+   */
+  measure() {
+    const scrollY = window.scrollY;
+    this.sections.forEach((section) => {
+      section.offset = section.headingElement.getBoundingClientRect().top + scrollY;
+    });
+    this.contentEnd = this.contentArea.getBoundingClientRect().bottom + scrollY;
+    this.geometryStale = false;
+  }
+
+  /**
+   * A heading's text without decorations such as the date-range span
+   * @param {HTMLElement} heading - Heading element
+   * @returns {string} Text for the navigation
+   */
+  headingText(heading) {
+    const copy = heading.cloneNode(true);
+    copy.querySelectorAll('.date-range').forEach(element => element.remove());
+    return copy.textContent.replace(/\s+/g, ' ').trim();
   }
 
   /**
@@ -140,17 +238,18 @@ class PageNavigation {
     topLink.textContent = 'top';
     topLink.addEventListener('click', (e) => {
       e.preventDefault();
-      window.scrollTo({ top: 0, behavior: 'smooth' });
+      this.goTo('top');
     });
     
     topItem.appendChild(topLink);
     navList.appendChild(topItem);
     this.navItems.set('top', topItem);
 
-    // Add all H1 sections (Level 1 only)
+    // Add every section, nested in a sublist under its parent
+    const depth = (section) => this.levels.indexOf(section.level) + 1;
     this.sections.forEach((section) => {
       const navItem = document.createElement('li');
-      navItem.className = 'page-nav-item page-nav-item-level-1';
+      navItem.className = `page-nav-item page-nav-item-level-${depth(section)}`;
       navItem.setAttribute('data-section-id', section.id);
 
       const navLink = document.createElement('a');
@@ -159,68 +258,449 @@ class PageNavigation {
       navLink.textContent = section.text;
       navLink.addEventListener('click', (e) => {
         e.preventDefault();
-        this.scrollToSection(section.id);
+        this.goTo(section.id);
       });
 
       navItem.appendChild(navLink);
-      navList.appendChild(navItem);
+
+      const parentItem = section.parent && this.navItems.get(section.parent);
+      if (parentItem) {
+        this.sublistFor(parentItem, section.parent).appendChild(navItem);
+      } else {
+        navList.appendChild(navItem);
+      }
       
       this.navItems.set(section.id, navItem);
     });
 
     this.navContainer.appendChild(navList);
+    this.updateExpanded();
   }
 
   /**
-   * Setup Intersection Observer to track which section is in view
+   * Render the compact-mode pill and the bottom sheet it opens
+   * The sheet lists every section flat, indented by level
    */
-  setupIntersectionObserver() {
-    const options = {
-      root: null,
-      rootMargin: '-20% 0px -60% 0px', // Trigger when section is in upper portion of viewport
-      threshold: 0
-    };
+  renderSheet() {
+    if (this.sections.length === 0) {
+      return;
+    }
 
-    this.observer = new IntersectionObserver((entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          // Find the section ID from the observed element
-          const section = this.sections.find(s => 
-            s.element === entry.target || 
-            s.headingElement === entry.target ||
-            entry.target.contains(s.headingElement)
-          );
-          if (section) {
-            this.setActiveSection(section.id);
-          }
-        }
+    this.pill = document.createElement('button');
+    this.pill.type = 'button';
+    this.pill.className = 'page-nav-pill';
+    this.pill.setAttribute('aria-haspopup', 'dialog');
+    this.pill.setAttribute('aria-expanded', 'false');
+    this.pill.setAttribute('aria-controls', 'pageNavSheet');
+    this.pill.hidden = true;
+    this.pill.innerHTML = '<span class="page-nav-pill-label">on this page</span><span class="page-nav-pill-text"></span>';
+    this.pillText = this.pill.querySelector('.page-nav-pill-text');
+
+    this.backdrop = document.createElement('div');
+    this.backdrop.className = 'page-nav-sheet-backdrop';
+
+    this.sheet = document.createElement('div');
+    this.sheet.className = 'page-nav-sheet';
+    this.sheet.id = 'pageNavSheet';
+    this.sheet.setAttribute('role', 'dialog');
+    this.sheet.setAttribute('aria-modal', 'true');
+    this.sheet.setAttribute('aria-label', 'Sections on this page');
+    this.sheet.setAttribute('aria-hidden', 'true');
+    this.sheet.inert = true;
+
+    const handle = document.createElement('div');
+    handle.className = 'page-nav-sheet-handle';
+    handle.setAttribute('aria-hidden', 'true');
+
+    this.sheetList = document.createElement('ul');
+    this.sheetList.className = 'page-nav-sheet-list';
+
+    const depth = (section) => this.levels.indexOf(section.level) + 1;
+    const entries = [{ id: 'top', text: 'top', depth: 1 }, ...this.sections.map(section => ({ id: section.id, text: section.text, depth: depth(section) }))];
+    entries.forEach((entry) => {
+      const item = document.createElement('li');
+      item.className = `page-nav-sheet-item page-nav-item-level-${entry.depth}`;
+
+      const link = document.createElement('a');
+      link.href = entry.id === 'top' ? '#' : `#${entry.id}`;
+      link.className = 'page-nav-sheet-link';
+      link.textContent = entry.text;
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.closeSheet(false);
+        this.goTo(entry.id);
       });
-    }, options);
 
-    // Observe both the section elements and heading elements
-    this.sections.forEach((section) => {
-      if (section.element !== section.headingElement) {
-        this.observer.observe(section.element);
+      item.appendChild(link);
+      this.sheetList.appendChild(item);
+      this.sheetItems.set(entry.id, item);
+    });
+
+    this.sheet.appendChild(handle);
+    this.sheet.appendChild(this.sheetList);
+    document.body.appendChild(this.pill);
+    document.body.appendChild(this.backdrop);
+    document.body.appendChild(this.sheet);
+
+    this.bindSheetEvents();
+  }
+
+  /**
+   * Bind the pill, the backdrop, keyboard handling, and swipe-to-dismiss
+   */
+  bindSheetEvents() {
+    this.pill.addEventListener('click', () => {
+      if (this.isSheetOpen()) {
+        this.closeSheet(false);
+      } else {
+        this.openSheet();
+      }
+    });
+
+    this.backdrop.addEventListener('click', () => this.closeSheet(true));
+
+    this.sheet.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeSheet(true);
+      } else if (e.key === 'Tab') {
+        // Keep focus in the sheet while it's open
+        const links = Array.from(this.sheetList.querySelectorAll('.page-nav-sheet-link'));
+        const first = links[0];
+        const last = links[links.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
       }
-      this.observer.observe(section.headingElement);
     });
+
+    // Swipe down to dismiss: from the handle, or anywhere once the list is
+    // scrolled to the top. The sheet follows the finger until released
+    this.sheet.addEventListener('touchstart', (e) => {
+      const fromHandle = e.target.closest('.page-nav-sheet-handle');
+      if (!fromHandle && this.sheetList.scrollTop > 0) return;
+      this.touchStart = { y: e.changedTouches[0].clientY, time: performance.now() };
+    }, { passive: true });
+
+    this.sheet.addEventListener('touchmove', (e) => {
+      if (!this.touchStart) return;
+      const dy = Math.max(0, e.changedTouches[0].clientY - this.touchStart.y);
+      this.sheet.classList.add('dragging');
+      this.sheet.style.transform = `translateY(${dy}px)`;
+    }, { passive: true });
+
+    const release = (e) => {
+      if (!this.touchStart) return;
+      const dy = e.changedTouches[0].clientY - this.touchStart.y;
+      const velocity = dy / (performance.now() - this.touchStart.time); // px per ms
+      this.touchStart = null;
+      this.sheet.classList.remove('dragging');
+      this.sheet.style.transform = '';
+
+      // A long drag or a quick flick closes; anything less springs back
+      if (dy > this.dismissThreshold || (dy > 20 && velocity > 0.5)) {
+        this.closeSheet(true);
+      }
+    };
+    this.sheet.addEventListener('touchend', release);
+    this.sheet.addEventListener('touchcancel', release);
+  }
+
+  /**
+   * Switch between the sidebar and the pill as the viewport crosses the
+   * compact breakpoint
+   */
+  setupCompactMode() {
+    if (!this.pill) {
+      return;
+    }
+
+    const query = window.matchMedia(`(max-width: ${this.compactBreakpoint}px)`);
+    const apply = () => {
+      this.compact = query.matches;
+      this.navContainer.classList.toggle('page-nav-compact', this.compact);
+      this.pill.hidden = !this.compact;
+      if (!this.compact) {
+        this.closeSheet(false);
+      }
+    };
+
+    query.addEventListener('change', apply);
+    apply();
+  }
+
+  /**
+   * Whether the bottom sheet is showing
+   * @returns {boolean}
+   */
+  isSheetOpen() {
+    return Boolean(this.sheet) && this.sheet.classList.contains('open');
+  }
+
+  /**
+   * Show the bottom sheet with the current section in view and focused
+   */
+  openSheet() {
+    this.sheet.classList.add('open');
+    this.backdrop.classList.add('open');
+    this.sheet.setAttribute('aria-hidden', 'false');
+    this.sheet.inert = false;
+    this.pill.setAttribute('aria-expanded', 'true');
+
+    const current = this.sheetItems.get(this.currentSection) || this.sheetList.firstChild;
+    const link = current.querySelector('.page-nav-sheet-link');
+    current.scrollIntoView({ block: 'nearest' });
+    link.focus({ preventScroll: true });
+  }
+
+  /**
+   * Hide the bottom sheet
+   * @param {boolean} returnFocus - Move focus back to the pill
+   */
+  closeSheet(returnFocus) {
+    if (!this.isSheetOpen()) return;
+    this.sheet.classList.remove('open');
+    this.backdrop.classList.remove('open');
+    this.sheet.setAttribute('aria-hidden', 'true');
+    this.sheet.inert = true;
+    this.pill.setAttribute('aria-expanded', 'false');
+    this.updateFade();
+    if (returnFocus) this.pill.focus();
+  }
+
+  /**
+   * Get (or create) the sublist of a navigation item, with the button that
+   * expands and collapses it
+   * @param {HTMLLIElement} item - Parent navigation item
+   * @param {string} sectionId - ID of the parent section
+   * @returns {HTMLUListElement} Sublist
+   */
+  sublistFor(item, sectionId) {
+    let sublist = item.querySelector(':scope > .page-nav-sublist');
+    if (sublist) {
+      return sublist;
+    }
+
+    sublist = document.createElement('ul');
+    sublist.className = 'page-nav-sublist';
+    sublist.id = `page-nav-${sectionId}`;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'page-nav-toggle';
+    toggle.setAttribute('aria-controls', sublist.id);
+    toggle.setAttribute('aria-label', `Show subsections of ${item.firstChild.textContent}`);
+    toggle.addEventListener('click', () => {
+      this.toggled.set(sectionId, !item.classList.contains('expanded'));
+      this.updateExpanded();
+    });
+
+    item.classList.add('page-nav-item-branch');
+    item.insertBefore(toggle, item.firstChild);
+    item.appendChild(sublist);
+    return sublist;
+  }
+
+  /**
+   * IDs of a section and every section it is nested in
+   * @param {string} sectionId - Section ID
+   * @returns {string[]} The section's ID first, then its parents'
+   */
+  branchOf(sectionId) {
+    const ids = [];
+    let section = this.sections.find(s => s.id === sectionId);
+    while (section) {
+      ids.push(section.id);
+      section = section.parent ? this.sections.find(s => s.id === section.parent) : null;
+    }
+    return ids;
+  }
+
+  /**
+   * Expand the branch holding the current section and collapse the rest,
+   * unless a branch was opened or closed by hand
+   */
+  updateExpanded() {
+    const branch = this.branchOf(this.currentSection);
+    this.navItems.forEach((item, id) => {
+      const toggle = item.querySelector(':scope > .page-nav-toggle');
+      if (!toggle) return;
+
+      const expanded = this.toggled.has(id) ? this.toggled.get(id) : branch.includes(id);
+      item.classList.toggle('expanded', expanded);
+      toggle.setAttribute('aria-expanded', String(expanded));
+    });
+  }
+
+  /**
+   * Re-measure headings whenever the layout may have moved them: the page
+   * changing size (images loading, fonts swapping, window resizes) or
+   * content being added or removed. Text edits, and anything inside
+   * [data-typewriter] or [aria-hidden], can't move a heading on their own
+   * (a line break they cause still resizes the body), so they are skipped
+   * rather than re-measuring on every typed character
+   */
+  setupGeometryObservers() {
+    const invalidate = () => {
+      this.geometryStale = true;
+      this.scheduleUpdate();
+    };
+
+    if (typeof ResizeObserver === 'function') {
+      this.resizeObserver = new ResizeObserver(invalidate);
+      this.resizeObserver.observe(document.body);
+    } else {
+      window.addEventListener('resize', invalidate);
+    }
+
+    this.mutationObserver = new MutationObserver((records) => {
+      const moved = records.some((record) => {
+        const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+        return !target || !target.closest('[data-typewriter], [aria-hidden]');
+      });
+      if (moved) invalidate();
+    });
+    this.mutationObserver.observe(this.contentArea, { childList: true, subtree: true });
+    window.addEventListener('load', invalidate, { once: true });
+
+    if (document.fonts && document.fonts.ready) {
+      document.fonts.ready.then(invalidate);
+    }
   }
 
   /**
    * Setup scroll listener for active section tracking
    */
   setupScrollListener() {
-    let ticking = false;
+    window.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true });
+    this.updateActiveSection();
+  }
 
-    window.addEventListener('scroll', () => {
-      if (!ticking) {
-        window.requestAnimationFrame(() => {
-          this.updateActiveSection();
-          ticking = false;
-        });
-        ticking = true;
+  /**
+   * Update the active section on the next animation frame (at most once
+   * per frame, however many scroll and resize events arrive)
+   */
+  scheduleUpdate() {
+    if (this.updateScheduled) return;
+    this.updateScheduled = true;
+    window.requestAnimationFrame(() => {
+      this.updateScheduled = false;
+      this.updateActiveSection();
+    });
+  }
+
+  /**
+   * Restore the section in the URL hash on load and on back/forward
+   * Only a hash naming a listed section is taken over (with the browser's
+   * scroll restoration off, so it doesn't jump first and land under the
+   * fixed buttons); any other page keeps the browser's own behaviour.
+   * The hash is only mirrored once the reader scrolls, so an incoming link
+   * stays in the URL until then
+   */
+  setupHistory() {
+    const restoring = Boolean(this.hashSection());
+    if (restoring && 'scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+
+    window.addEventListener('popstate', () => {
+      // With restoration taken over, entries without a section (the "top"
+      // link) are ours to scroll too
+      if (!this.restoreFromHash() && history.scrollRestoration === 'manual' && !window.location.hash) {
+        window.scrollTo({ top: 0 });
       }
     });
+
+    const startMirroring = () => {
+      this.mirrorHash = true;
+    };
+    ['wheel', 'touchstart', 'keydown'].forEach((type) => {
+      window.addEventListener(type, startMirroring, { once: true, passive: true });
+    });
+
+    this.restoreFromHash();
+
+    // Images above the section can still move it after DOMContentLoaded;
+    // land on it again once they're in, unless the reader has scrolled since
+    window.addEventListener('load', () => {
+      if (this.restoredScroll !== null && Math.abs(window.scrollY - this.restoredScroll) < 2) {
+        this.geometryStale = true;
+        this.restoreFromHash();
+      }
+    }, { once: true });
+  }
+
+  /**
+   * Jump to the section named in the URL hash
+   * @returns {boolean} True if the hash named a section
+   */
+  restoreFromHash() {
+    const id = this.hashSection();
+    if (!id) {
+      return false;
+    }
+
+    this.scrollToSection(id, 'auto');
+    this.restoredScroll = window.scrollY;
+    this.setActiveSection(id);
+    return true;
+  }
+
+  /**
+   * The listed section named in the URL hash
+   * @returns {?string} Section ID, or null if the hash is empty or names
+   *   something else (another anchor, an unlisted heading)
+   */
+  hashSection() {
+    let id = window.location.hash.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch (error) {
+      return null; // Malformed escape - not one of ours
+    }
+    return id && this.sections.some(s => s.id === id) ? id : null;
+  }
+
+  /**
+   * URL of this page with a section in the hash ("top" has none)
+   * @param {string} sectionId - Section ID or "top"
+   * @returns {string} URL
+   */
+  urlFor(sectionId) {
+    const base = `${window.location.pathname}${window.location.search}`;
+    return sectionId === 'top' ? base : `${base}#${encodeURIComponent(sectionId)}`;
+  }
+
+  /**
+   * Add a history entry for a section the reader jumps to, so Back
+   * returns to where they were
+   * @param {string} sectionId - Section ID or "top"
+   */
+  pushHash(sectionId) {
+    const url = this.urlFor(sectionId);
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      history.pushState(history.state, '', url);
+    }
+  }
+
+  /**
+   * Mirror the current section into the URL hash without adding history
+   * entries, once the reader has scrolled. A hash this component doesn't
+   * own (another anchor, a search deep link) is left alone
+   * @param {string} sectionId - Section ID or "top"
+   */
+  replaceHash(sectionId) {
+    if (!this.mirrorHash || (window.location.hash && !this.hashSection())) {
+      return;
+    }
+    const url = this.urlFor(sectionId);
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      history.replaceState(history.state, '', url);
+    }
   }
 
   /**
@@ -259,35 +739,64 @@ class PageNavigation {
       this.navContainer.style.opacity = '0';
       this.navContainer.style.pointerEvents = 'none';
     }
+
+    // The pill fades with the sidebar, but stays while its sheet is open
+    if (this.pill) {
+      this.pill.classList.toggle('visible', shouldShow || this.isSheetOpen());
+    }
   }
 
   /**
-   * Update active section based on scroll position
+   * Update active section based on scroll position: the last heading that
+   * has reached the header offset, or "top" before the first one. At the
+   * bottom of the page the last section counts, even if its heading can't
+   * scroll up that far
    */
   updateActiveSection() {
-    const scrollY = window.scrollY + 150; // Offset for better detection
-    
-    // If at top, set "top" as active
-    if (scrollY < 200) {
-      if (this.currentSection !== 'top') {
-        this.setActiveSection('top');
-      }
-      return;
+    if (this.geometryStale) {
+      this.measure();
     }
-    
-    // Find the section that's currently in view
-    let activeSection = this.sections[0];
-    
-    for (let i = this.sections.length - 1; i >= 0; i--) {
-      if (scrollY >= this.sections[i].offset) {
-        activeSection = this.sections[i];
-        break;
+
+    const line = window.scrollY + this.headerOffset + 1;
+    const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+    let activeSection = null;
+
+    this.sections.forEach((section) => {
+      const reached = section.offset <= line || (atBottom && window.scrollY > 0);
+      if (reached && (!activeSection || section.offset >= activeSection.offset)) {
+        activeSection = section;
       }
-    }
+    });
 
-    if (activeSection && activeSection.id !== this.currentSection) {
-      this.setActiveSection(activeSection.id);
+    const id = activeSection ? activeSection.id : 'top';
+    if (id !== this.currentSection) {
+      this.setActiveSection(id);
+      this.replaceHash(id);
     }
+
+    this.updateSectionProgress(line, atBottom && window.scrollY > 0);
+  }
+
+  /**
+   * Fill each item's underline with how much of its section has passed the
+   * header offset. A section runs to the next heading at its level or above,
+   * so a parent's progress covers its subsections
+   * @param {number} line - Document position of the header offset
+   * @param {boolean} atBottom - Scrolled to the end of the page
+   */
+  updateSectionProgress(line, atBottom) {
+    this.sections.forEach((section, index) => {
+      const next = this.sections.slice(index + 1).find(s => s.level <= section.level);
+      const end = next ? next.offset : this.contentEnd;
+      const progress = atBottom ? 1 : Math.min(1, Math.max(0, (line - section.offset) / Math.max(1, end - section.offset)));
+      const value = progress.toFixed(3);
+
+      [this.navItems.get(section.id), this.sheetItems.get(section.id)].forEach((item) => {
+        if (item && item.style.getPropertyValue('--section-progress') !== value) {
+          item.style.setProperty('--section-progress', value);
+        }
+      });
+    });
   }
 
   /**
@@ -295,54 +804,82 @@ class PageNavigation {
    * @param {string} sectionId - ID of the section to activate
    */
   setActiveSection(sectionId) {
-    if (this.currentSection === sectionId) return;
+    if (this.currentSection === sectionId || !this.navItems.has(sectionId)) return;
+
+    // Remove active classes from the previous item and its parents
+    this.navItems.forEach(item => item.classList.remove('active', 'active-parent'));
 
-    // Remove active class from previous item
-    if (this.currentSection && this.navItems.has(this.currentSection)) {
-      const prevItem = this.navItems.get(this.currentSection);
-      prevItem.classList.remove('active');
+    // Add active class to new item, and mark the sections it is nested in
+    const [active, ...parents] = this.branchOf(sectionId);
+    this.navItems.get(sectionId).classList.add('active');
+    parents.forEach(id => this.navItems.get(id).classList.add('active-parent'));
+
+    // Moving to another top-level branch drops branches opened or closed by hand
+    const topOf = (id) => this.branchOf(id).pop();
+    if (!this.currentSection || topOf(this.currentSection) !== topOf(active)) {
+      this.toggled.clear();
     }
 
-    // Add active class to new item
-    if (this.navItems.has(sectionId)) {
-      const activeItem = this.navItems.get(sectionId);
-      activeItem.classList.add('active');
-      this.currentSection = sectionId;
+    this.currentSection = sectionId;
+    this.updateExpanded();
+    this.updateSheet();
+  }
+
+  /**
+   * Show the current section on the pill and highlight it in the sheet
+   */
+  updateSheet() {
+    if (!this.pill) {
+      return;
     }
+
+    this.sheetItems.forEach((item, id) => {
+      const current = id === this.currentSection;
+      item.classList.toggle('active', current);
+      if (current) {
+        item.firstChild.setAttribute('aria-current', 'location');
+      } else {
+        item.firstChild.removeAttribute('aria-current');
+      }
+    });
+
+    const item = this.sheetItems.get(this.currentSection);
+    this.pillText.textContent = item ? item.firstChild.textContent : 'top';
+    this.pill.setAttribute('aria-label', `Sections on this page, current: ${this.pillText.textContent}`);
   }
 
   /**
-   * Smooth scroll to a section
+   * Jump to a section from the sidebar or the sheet, adding a history entry
+   * @param {string} sectionId - Section ID or "top"
+   */
+  goTo(sectionId) {
+    this.mirrorHash = true;
+    this.pushHash(sectionId);
+    if (sectionId === 'top') {
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } else {
+      this.scrollToSection(sectionId);
+    }
+  }
+
+  /**
+   * Scroll so a section's heading sits at the header offset
    * @param {string} sectionId - ID of the section to scroll to
+   * @param {string} [behavior='smooth'] - "smooth", or "auto" to jump
    */
-  scrollToSection(sectionId) {
+  scrollToSection(sectionId, behavior = 'smooth') {
     const section = this.sections.find(s => s.id === sectionId);
-    if (!section) {
-      // Try to find by ID directly
-      const element = document.getElementById(sectionId);
-      if (element) {
-        const offset = 100;
-        const elementPosition = element.getBoundingClientRect().top;
-        const offsetPosition = elementPosition + window.pageYOffset - offset;
-        window.scrollTo({
-          top: offsetPosition,
-          behavior: 'smooth'
-        });
-      }
+    // Try to find by ID directly
+    const element = section ? section.headingElement : document.getElementById(sectionId);
+    if (!element) {
       return;
     }
 
-    const element = section.headingElement || document.getElementById(sectionId);
-    if (element) {
-      const offset = 100; // Offset from top
-      const elementPosition = element.getBoundingClientRect().top;
-      const offsetPosition = elementPosition + window.pageYOffset - offset;
-
-      window.scrollTo({
-        top: offsetPosition,
-        behavior: 'smooth'
-      });
-    }
+    const elementPosition = element.getBoundingClientRect().top;
+    window.scrollTo({
+      top: elementPosition + window.scrollY - this.headerOffset,
+      behavior
+    });
   }
 }
 
@@ -0,0 +1,301 @@
+/**
+ * @file portfolio.js
+ * @description Filter and sort controls for the portfolio pages (art, music,
+ * projects). Works on the cards scripts/build.js renders from
+ * content/portfolio.json, using their data-* attributes:
+ *
+ *   <li class="portfolio-card" data-title data-date data-year data-type data-tags>
+ *
+ * The current filters live in the query string (?tag=senior-year&year=2024),
+ * so a filtered view can be linked to; tag links on the cards use the same
+ * format and still work without JavaScript as plain links.
+ */
+
+/**
+ * Portfolio Filter Component
+ * Adds tag/year/type filters and a sort order above the portfolio groups.
+ * Groups with no matching cards are hidden while a filter is active.
+ */
+class PortfolioFilter {
+  constructor() {
+    this.container = document.querySelector('[data-portfolio]');
+    this.cards = [];
+    this.groups = [];
+    this.controls = {};
+    this.sortOptions = [
+      { value: 'newest', label: 'newest first' },
+      { value: 'oldest', label: 'oldest first' },
+      { value: 'title', label: 'a-z' }
+    ];
+
+    if (!this.container) {
+      return; // Not a portfolio page
+    }
+
+    this.init();
+  }
+
+  /**
+   * Initialize the filter controls
+   */
+  init() {
+    this.groups = Array.from(this.container.querySelectorAll('.portfolio-group'));
+    this.cards = Array.from(this.container.querySelectorAll('.portfolio-card')).map((element, index) => ({
+      element,
+      index,
+      title: element.dataset.title || '',
+      date: element.dataset.date || '',
+      year: element.dataset.year || '',
+      type: element.dataset.type || '',
+      tags: (element.dataset.tags || '').split(' ').filter(Boolean)
+    }));
+
+    if (this.cards.length === 0) {
+      return;
+    }
+
+    this.renderControls();
+    this.bindEvents();
+    this.readState();
+    this.apply();
+  }
+
+  /**
+   * Collect the option values present on the page
+   * @returns {{tag: Object[], year: Object[], type: Object[]}} Options per filter
+   */
+  collectOptions() {
+    const tags = new Map();
+    const types = new Map();
+    const years = new Set();
+
+    this.cards.forEach((card) => {
+      // Labels come from the rendered tag links and type names
+      card.element.querySelectorAll('.portfolio-tag').forEach((link, i) => {
+        tags.set(card.tags[i], link.textContent.replace(/^#/, ''));
+      });
+      if (!types.has(card.type)) {
+        const type = card.element.querySelector('.portfolio-card-type');
+        types.set(card.type, type ? type.textContent : card.type);
+      }
+      if (card.year) {
+        years.add(card.year);
+      }
+    });
+
+    const byLabel = (a, b) => a.label.localeCompare(b.label);
+    return {
+      tag: Array.from(tags, ([value, label]) => ({ value, label: `#${label}` })).sort(byLabel),
+      year: Array.from(years).sort().reverse().map(year => ({ value: year, label: year })),
+      type: Array.from(types, ([value, label]) => ({ value, label })).sort(byLabel)
+    };
+  }
+
+  /**
+   * Build a labelled <select>
+   * @param {string} name - Filter name (tag, year, type, sort)
+   * @param {string} label - Visible label
+   * @param {Object[]} options - {value, label} options
+   * @param {?string} allLabel - Label for the "no filter" option, or null for none
+   * @returns {HTMLLabelElement} Label wrapping the select
+   */
+  createSelect(name, label, options, allLabel) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'portfolio-filter';
+
+    const text = document.createElement('span');
+    text.className = 'portfolio-filter-label';
+    text.textContent = label;
+
+    const select = document.createElement('select');
+    select.name = name;
+
+    const choices = allLabel === null ? options : [{ value: '', label: allLabel }, ...options];
+    choices.forEach((choice) => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.label;
+      select.appendChild(option);
+    });
+
+    wrapper.appendChild(text);
+    wrapper.appendChild(select);
+    this.controls[name] = select;
+    return wrapper;
+  }
+
+  /**
+   * Render the filter bar before the first group
+   */
+  renderControls() {
+    const options = this.collectOptions();
+
+    this.form = document.createElement('form');
+    this.form.className = 'portfolio-filters';
+    this.form.setAttribute('role', 'search');
+    this.form.setAttribute('aria-label', 'Filter portfolio');
+
+    this.form.appendChild(this.createSelect('tag', 'tag', options.tag, 'all'));
+    this.form.appendChild(this.createSelect('year', 'year', options.year, 'any'));
+    this.form.appendChild(this.createSelect('type', 'type', options.type, 'all'));
+    this.form.appendChild(this.createSelect('sort', 'sort', this.sortOptions, null));
+
+    this.resetButton = document.createElement('button');
+    this.resetButton.type = 'reset';
+    this.resetButton.className = 'portfolio-reset';
+    this.resetButton.textContent = 'clear';
+    this.form.appendChild(this.resetButton);
+
+    this.count = document.createElement('p');
+    this.count.className = 'portfolio-count';
+    this.count.setAttribute('aria-live', 'polite');
+    this.form.appendChild(this.count);
+
+    this.container.insertBefore(this.form, this.container.firstChild);
+  }
+
+  /**
+   * Bind control changes, reset, and tag links
+   */
+  bindEvents() {
+    this.form.addEventListener('change', () => {
+      this.apply();
+      this.writeState();
+    });
+
+    this.form.addEventListener('submit', (e) => e.preventDefault());
+
+    this.form.addEventListener('reset', () => {
+      // Let the form clear its selects first
+      setTimeout(() => {
+        this.apply();
+        this.writeState();
+      }, 0);
+    });
+
+    this.container.addEventListener('click', (e) => {
+      const tagLink = e.target.closest('.portfolio-tag');
+      if (!tagLink) return;
+
+      const tag = new URL(tagLink.href, window.location.href).searchParams.get('tag');
+      if (!this.hasOption('tag', tag)) return;
+
+      e.preventDefault();
+      this.controls.tag.value = tag;
+      this.apply();
+      this.writeState();
+      this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+  }
+
+  /**
+   * Check whether a select has an option with the given value
+   * @param {string} name - Control name
+   * @param {?string} value - Option value
+   * @returns {boolean} True if present
+   */
+  hasOption(name, value) {
+    return value !== null && Array.from(this.controls[name].options).some(option => option.value === value);
+  }
+
+  /**
+   * Load filters from the query string (unknown values are ignored)
+   */
+  readState() {
+    const params = new URLSearchParams(window.location.search);
+    ['tag', 'year', 'type', 'sort'].forEach((name) => {
+      const value = params.get(name);
+      if (this.hasOption(name, value)) {
+        this.controls[name].value = value;
+      }
+    });
+  }
+
+  /**
+   * Mirror the filters into the query string, keeping the hash
+   */
+  writeState() {
+    const params = new URLSearchParams(window.location.search);
+    ['tag', 'year', 'type', 'sort'].forEach((name) => {
+      const value = this.controls[name].value;
+      const isDefault = !value || (name === 'sort' && value === this.sortOptions[0].value);
+      if (isDefault) {
+        params.delete(name);
+      } else {
+        params.set(name, value);
+      }
+    });
+
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }
+
+  /**
+   * Compare two cards for the selected sort order
+   * Undated cards always go last when sorting by date
+   * @param {Object} a - Card
+   * @param {Object} b - Card
+   * @param {string} sort - Sort order
+   * @returns {number} Sort order
+   */
+  compare(a, b, sort) {
+    if (sort === 'title') {
+      return a.title.localeCompare(b.title);
+    }
+    if (a.date !== b.date) {
+      if (!a.date) return 1;
+      if (!b.date) return -1;
+      return sort === 'oldest' ? a.date.localeCompare(b.date) : b.date.localeCompare(a.date);
+    }
+    return a.index - b.index;
+  }
+
+  /**
+   * Show matching cards, hide the rest, and reorder each group
+   */
+  apply() {
+    const { tag, year, type, sort } = Object.fromEntries(
+      Object.entries(this.controls).map(([name, select]) => [name, select.value])
+    );
+    const filtering = Boolean(tag || year || type);
+    let visible = 0;
+
+    this.cards.forEach((card) => {
+      const matches = (!tag || card.tags.includes(tag)) &&
+        (!year || card.year === year) &&
+        (!type || card.type === type);
+      card.element.hidden = !matches;
+      if (matches) visible++;
+    });
+
+    this.groups.forEach((group) => {
+      const list = group.querySelector('.portfolio-grid');
+      if (list) {
+        this.cards
+          .filter(card => card.element.parentNode === list)
+          .sort((a, b) => this.compare(a, b, sort))
+          .forEach(card => list.appendChild(card.element));
+      }
+
+      // Empty categories stay visible unless a filter is narrowing the page
+      const hasVisible = list && list.querySelector('.portfolio-card:not([hidden])');
+      group.hidden = filtering && !hasVisible;
+    });
+
+    this.resetButton.hidden = !filtering && sort === this.sortOptions[0].value;
+    this.count.textContent = filtering
+      ? `${visible} of ${this.cards.length} ${this.cards.length === 1 ? 'item' : 'items'}`
+      : `${this.cards.length} ${this.cards.length === 1 ? 'item' : 'items'}`;
+
+    this.container.dispatchEvent(new CustomEvent('portfolio:filter', { detail: { tag, year, type, sort, visible } }));
+  }
+}
+
+// Initialize the portfolio filter when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    new PortfolioFilter();
+  });
+} else {
+  new PortfolioFilter();
+}
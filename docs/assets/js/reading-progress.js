@@ -0,0 +1,204 @@
+/**
+ * @file reading-progress.js
+ * @description Reading progress for long pages (front matter `reading: true`,
+ * on by default for thoughts posts):
+ *
+ *   - a thin bar along the top of the window that fills as the reader
+ *     works through main.page-content
+ *   - how far the reader got is remembered per page in localStorage, and
+ *     the next visit offers to continue from there
+ *
+ * The estimated reading time under the H1 is written by the build, and
+ * per-section progress is drawn by page-nav.js.
+ */
+
+/**
+ * Reading Progress Component
+ * Progress is 0 with the top of the content at the top of the window and 1
+ * with its end at the bottom of the window.
+ */
+class ReadingProgress {
+  constructor() {
+    this.content = document.querySelector('main.page-content');
+    this.storageKey = `reading:${window.location.pathname}`;
+    this.progress = 0;
+    this.saveDelay = 500; // ms after scrolling stops before saving
+    this.resumeRange = [0.05, 0.95]; // Saved progress worth offering to resume
+    this.promptScrollLimit = 200; // Scrolling this far (px) on their own dismisses the prompt
+    this.prompt = null;
+
+    if (!this.content) {
+      return;
+    }
+
+    this.init();
+  }
+
+  /**
+   * Build the bar, bind events, and offer to resume
+   */
+  init() {
+    this.render();
+    this.bindEvents();
+    this.update();
+    this.offerResume();
+  }
+
+  /**
+   * Render the progress bar
+   */
+  render() {
+    this.bar = document.createElement('div');
+    this.bar.className = 'reading-progress';
+    this.bar.setAttribute('role', 'progressbar');
+    this.bar.setAttribute('aria-label', 'Reading progress');
+    this.bar.setAttribute('aria-valuemin', '0');
+    this.bar.setAttribute('aria-valuemax', '100');
+
+    this.fill = document.createElement('div');
+    this.fill.className = 'reading-progress-bar';
+
+    this.bar.appendChild(this.fill);
+    document.body.appendChild(this.bar);
+  }
+
+  /**
+   * Track scrolling and resizes, and save the position when leaving
+   */
+  bindEvents() {
+    let ticking = false;
+    const schedule = () => {
+      if (ticking) return;
+      ticking = true;
+      window.requestAnimationFrame(() => {
+        ticking = false;
+        this.update();
+      });
+    };
+
+    window.addEventListener('scroll', () => {
+      schedule();
+      clearTimeout(this.saveTimer);
+      this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    }, { passive: true });
+
+    window.addEventListener('resize', schedule);
+    window.addEventListener('pagehide', () => this.save());
+  }
+
+  /**
+   * Scroll positions where the content starts and finishes being read
+   * @returns {{start: number, end: number}} Scroll positions in pixels
+   */
+  range() {
+    const rect = this.content.getBoundingClientRect();
+    const start = rect.top + window.scrollY;
+    return { start, end: start + rect.height - window.innerHeight };
+  }
+
+  /**
+   * Update the bar from the scroll position
+   */
+  update() {
+    const { start, end } = this.range();
+    this.progress = end <= start ? 1 : Math.min(1, Math.max(0, (window.scrollY - start) / (end - start)));
+
+    this.fill.style.transform = `scaleX(${this.progress})`;
+    this.bar.setAttribute('aria-valuenow', String(Math.round(this.progress * 100)));
+
+    if (this.prompt && window.scrollY > this.promptScrollLimit) {
+      this.dismissPrompt();
+    }
+  }
+
+  /**
+   * Remember how far the reader got, or forget it once they are back at
+   * the top or have finished
+   */
+  save() {
+    const [min, max] = this.resumeRange;
+    try {
+      if (this.progress > min && this.progress < max) {
+        localStorage.setItem(this.storageKey, JSON.stringify({ progress: this.progress, saved: Date.now() }));
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      // Storage blocked - nothing to resume next time
+    }
+  }
+
+  /**
+   * Read the saved progress for this page
+   * @returns {?number} Progress between 0 and 1, or null if none was saved
+   */
+  readSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return saved && Number.isFinite(saved.progress) ? saved.progress : null;
+    } catch (error) {
+      return null; // Storage blocked or unreadable entry
+    }
+  }
+
+  /**
+   * Offer to continue where the reader left off
+   * Not when the page opens somewhere already: a section link (#hash) or a
+   * position the browser restored
+   */
+  offerResume() {
+    const saved = this.readSaved();
+    const [min, max] = this.resumeRange;
+    if (saved === null || saved <= min || saved >= max || window.location.hash || window.scrollY > 0) {
+      return;
+    }
+
+    this.prompt = document.createElement('div');
+    this.prompt.className = 'reading-resume';
+    this.prompt.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.className = 'reading-resume-text';
+    text.textContent = `continue where you left off? (${Math.round(saved * 100)}%)`;
+
+    const resume = document.createElement('button');
+    resume.type = 'button';
+    resume.className = 'reading-resume-continue';
+    resume.textContent = 'continue';
+    resume.addEventListener('click', () => {
+      this.dismissPrompt();
+      const { start, end } = this.range();
+      window.scrollTo({ top: start + saved * (end - start), behavior: 'smooth' });
+    });
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'reading-resume-dismiss';
+    dismiss.setAttribute('aria-label', 'Start from the top');
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => this.dismissPrompt());
+
+    this.prompt.appendChild(text);
+    this.prompt.appendChild(resume);
+    this.prompt.appendChild(dismiss);
+    document.body.appendChild(this.prompt);
+  }
+
+  /**
+   * Remove the resume prompt
+   */
+  dismissPrompt() {
+    if (!this.prompt) return;
+    this.prompt.remove();
+    this.prompt = null;
+  }
+}
+
+// Initialize reading progress when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    new ReadingProgress();
+  });
+} else {
+  new ReadingProgress();
+}
@@ -0,0 +1,17 @@
+/**
+ * Site Search Index
+ *
+ * Generated by scripts/build.js from the built pages - do not edit.
+ * Each page: t = title, u = URL, x = lead text, s = [heading, id, text] per section.
+ *
+ * @fileoverview Search index for the command palette (search.js)
+ */
+
+const searchIndex = [
+  {"t":"about","u":"about.html","x":"","s":[["things i like","things-i-like","xkcd scott bradlee's postmodern jukebox the onion hitman split into academic and personal?"],["awards and honors:","awards-and-honors","2020 youth art contest gold (see art) 2022 american college of musicians high school diploma 2022 president's volunteer service award gold 2022 ap scholar with honor 2022 youth art contest silver (see art) 2023 scholastic art & writing silver key (see art) 2023 usapho qualifier 2023 ap scholar with distinction 2023 national honor society inductee 2024 national merit scholarship finalist 2024 woody herman jazz award"],["activities and roles:","activities-and-roles","studio artist jazz and concert pianist science olympiad team member 2023 nxp hovergames software lead 2023-2024 amador valley physics club secretary 2023-2024 bobtutor math south africa/pretoria program director see projects for more"],["links:","links","wikipedia linkedin handshake youtube youtube 2 instagram goodreads steam github itch.io kaggle ucla handshake ucla one orcid betweenends ucsd betweenends ucla betweenends uci"],["contacts:","contacts","discord gmail"]]},
+  {"t":"art","u":"art.html","x":"","s":[["charcoal studies","charcoal-studies","nothing here yet."],["watercolor and gouache","watercolor-and-gouache",""],["frog","frog","watercolor and gouache #animals"],["other","other",""],["lillian drawing","lillian-drawing","2024 · other #senior year"]]},
+  {"t":"ryan zheng","u":"index.html","x":"hi! i'm ryan, a resume about","s":[["education","education",""],["University of California, Los Angeles Graduating Spring 2027","university-of-california-los-angeles","B.S. in Physics, Data Science Engineering Minor Relevant Coursework : Data Structures & Algorithms, Computer Architecture, Multivariable Calculus, Linear Algebra, Differential Equations, Modern Physics"],["experience","experience",""],["Scale AI • Generative AI Intern January 2025 - present","scale-ai","Contribute to training and evals for SOTA reasoning and agentic models across 5+ clients and 100+ tasks, ranging from abstract visual reasoning, to deep research studies, to next-gen SWE agents solving real world GitHub issues. Execute rigorous quality assurance reviews for critical datasets powering SWE agents in Java, C++, Python, Go, and Rust, evaluating intern deliverables against customer specs to ensure data integrity. Improve data quality rating by organizing and leading in-person project workshops for contributing interns. Construct robust Docker testing environments and write"],["ACM AI @ UCLA • Projects Officer January 2025 - present","acm-ai-ucla","Design and lead student projects exploring advanced AI topics."],["skills","skills","Languages : C++, Java, Python, Swift, SQL, HTML/CSS, R Frameworks : PyTorch, Hugging Face, React, Jekyll Developer Tools : Git, Cursor, VS Code, XCode, Jupyter"],["projects","projects",""],["Kaggle S&P500 Prediction • ACM AI October 2025 - Present","kaggle","Design and iterate neural networks, such as decision trees, feed-forward networks, and Long Short-Term Memory (LSTMs) models to predict forward returns of S&P 500 for Kaggle competition. Improve data preprocessing and model evaluation by implementing KNN imputation for dataset NaN values and k-fold cross validation. Competition scoring in progress."],["R1 Reasoning • ACM AI March 2025 - June 2025","r1-reasoning","Implemented reinforcement learning from human feedback (RLHF) system using Group Relative Policy Optimization (GRPO) to fine-tune Qwen2.5-7B-Instruct model for mathematical reasoning tasks. Improved out-of-the-box model accuracy on test data by 17 percentage points. Identified and debugged issues with repetition rewards, correctness metric, and dataset parameters. Implemented custom correctness checking via regex pattern matching and repetition detection using n-gram analysis. Optimized memory usage through gradient checkpointing, 8-bit optimizers, and automatic GPU memory management for"],["publications","publications","Chen, Y., Jiao, J., & Zheng, R. (2024). Exploring changes in trip generation and impacts of built environment between regular and essential trips: A study based on the contiguous United States. Proceedings of the CICTP 2024 (pp. 3317–3326) . Presented at the CICTP 2024. https://doi.org/10.1061/9780784485484.314"]]},
+  {"t":"music","u":"music.html","x":"","s":[["jazz","jazz",""],["jazz arrangement","jazz-arrangement","2024 · jazz score #senior year #arrangement"],["classical","classical","nothing here yet."]]},
+  {"t":"projects","u":"projects.html","x":"a couple of the vector fields behind the topology work, to play with: click to place a charge (shift+click for a negative one), tap a charge to flip it, double-click to clear.","s":[["math","math",""],["3 levels of topology","three-levels-of-topology","2024 · math video · writeup · presentation #senior year #topology related: klein bottle"],["software","software",""],["CVwithCV","cvwithcv","software site · repository #high school"],["ut austin internship","ut-austin-internship","software repository #high school #internship"],["hardware","hardware",""],["hovergames project","hovergames-project","2023 · hardware writeup #high school #competition"],["web","web",""],["klein bottle","klein-bottle","web site #high school #topology related: 3 levels of topology"],["yged church website","yged-church-website","web site · repository #high school"],["video","video",""],["ap lit netflix trailer","ap-lit-netflix-trailer","2024 · video video #senior year #film"],["brave nude world","brave-nude-world","2024 · video video #senior year #film"],["on other pages","on-other-pages",""],["jazz arrangement","jazz-arrangement","2024 · jazz · on music score #senior year #arrangement"],["lillian drawing","lillian-drawing","2024 · other · on art #senior year"]]},
+  {"t":"thoughts","u":"thoughts.html","x":"honestly this page will be a mix of stories and thoughts that i have and want to write about. the main purpose of these are to have a space for myself to just write things, but if you care to read them that's nice too. nothing here yet - check back soon.","s":[]}
+];
@@ -0,0 +1,501 @@
+/**
+ * @file search.js
+ * @description Site-wide search in a command palette. Opens with Ctrl+K /
+ * Cmd+K, with "/" when no text field has focus, or with the search button.
+ * Searches the pages from navigationData (config.js) plus the index that
+ * scripts/build.js generates from the built pages:
+ *
+ *   assets/js/search-index.js  ->  const searchIndex = [{t, u, x, s: [[title, id, text]]}]
+ *
+ * The index is loaded with a <script> tag the first time the palette opens,
+ * so search works offline and from disk as well as on the live site.
+ * Choosing a result goes to the page and scrolls to the heading.
+ */
+
+/**
+ * Command Palette Component
+ * A modal combobox: type to filter, arrow keys to move, Enter to go,
+ * Escape to close.
+ */
+class CommandPalette {
+  constructor() {
+    this.entries = [];
+    this.results = [];
+    this.activeIndex = -1;
+    this.indexState = 'idle'; // idle | loading | ready | failed
+    this.lastFocus = null;
+    this.maxResults = 20;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the palette, its open button, and the shortcuts
+   */
+  init() {
+    this.entries = this.navigationEntries();
+    this.createButton();
+    this.createPalette();
+    this.bindEvents();
+  }
+
+  /**
+   * Flatten navigationData into searchable page entries
+   * @returns {Object[]} Page entries
+   */
+  navigationEntries() {
+    if (typeof navigationData === 'undefined') {
+      return [];
+    }
+
+    const entries = [];
+    const add = (page, parent) => {
+      if (page.link) {
+        entries.push({ title: page.name, url: page.link, id: '', crumb: parent ? parent.name : '', text: '', kind: 'page' });
+      }
+      (page.subpages || []).forEach(subpage => add(subpage, page));
+    };
+
+    add(navigationData.home, null);
+    navigationData.pages.forEach(page => add(page, null));
+    return entries;
+  }
+
+  /**
+   * Add the page and section entries from the generated index
+   * Pages already in navigationData keep their menu name but gain the text
+   */
+  addIndexEntries() {
+    searchIndex.forEach((page) => {
+      const existing = this.entries.find(entry => entry.kind === 'page' && entry.url === page.u);
+      if (existing) {
+        existing.text = page.x;
+      } else {
+        this.entries.push({ title: page.t, url: page.u, id: '', crumb: '', text: page.x, kind: 'page' });
+      }
+
+      const pageTitle = existing ? existing.title : page.t;
+      page.s.forEach(([title, id, text]) => {
+        this.entries.push({ title, url: page.u, id, crumb: pageTitle, text, kind: 'section' });
+      });
+    });
+  }
+
+  /**
+   * Load search-index.js once; section results appear when it arrives
+   */
+  loadIndex() {
+    if (this.indexState !== 'idle') return;
+
+    if (typeof searchIndex !== 'undefined') {
+      this.indexState = 'ready';
+      this.addIndexEntries();
+      return;
+    }
+
+    this.indexState = 'loading';
+    const script = document.createElement('script');
+    script.src = siteLink('assets/js/search-index.js');
+    script.onload = () => {
+      if (typeof searchIndex === 'undefined') {
+        this.indexState = 'failed';
+        return;
+      }
+      this.indexState = 'ready';
+      this.addIndexEntries();
+      if (this.isOpen()) this.update();
+    };
+    script.onerror = () => {
+      // Menu pages still work; allow another try next time
+      this.indexState = 'idle';
+      script.remove();
+    };
+    document.head.appendChild(script);
+  }
+
+  /**
+   * Create the fixed search button next to the menu
+   */
+  createButton() {
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'search-toggle';
+    this.button.setAttribute('aria-label', 'Search the site');
+    this.button.setAttribute('aria-keyshortcuts', 'Control+K Meta+K /');
+    this.button.innerHTML = `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+      <circle cx="11" cy="11" r="7"></circle>
+      <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+    </svg>`;
+    document.body.appendChild(this.button);
+  }
+
+  /**
+   * Create the palette dialog (hidden until opened)
+   */
+  createPalette() {
+    this.palette = document.createElement('div');
+    this.palette.className = 'search-palette';
+    this.palette.setAttribute('role', 'dialog');
+    this.palette.setAttribute('aria-modal', 'true');
+    this.palette.setAttribute('aria-label', 'Search');
+    this.palette.hidden = true;
+
+    this.palette.innerHTML = `
+      <div class="search-backdrop"></div>
+      <div class="search-panel">
+        <div class="search-field">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <circle cx="11" cy="11" r="7"></circle>
+            <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+          </svg>
+          <input class="search-input" type="text" placeholder="search pages and sections" autocomplete="off" spellcheck="false"
+            role="combobox" aria-expanded="true" aria-controls="searchResults" aria-autocomplete="list" aria-label="Search">
+          <kbd class="search-hint">esc</kbd>
+        </div>
+        <ul class="search-results" id="searchResults" role="listbox" aria-label="Results"></ul>
+        <p class="search-status" aria-live="polite"></p>
+      </div>
+    `;
+
+    this.input = this.palette.querySelector('.search-input');
+    this.list = this.palette.querySelector('.search-results');
+    this.status = this.palette.querySelector('.search-status');
+    document.body.appendChild(this.palette);
+  }
+
+  /**
+   * Bind shortcuts, typing, and result selection
+   */
+  bindEvents() {
+    this.button.addEventListener('click', () => this.open());
+    this.palette.querySelector('.search-backdrop').addEventListener('click', () => this.close());
+
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (this.isOpen()) {
+          this.close();
+        } else {
+          this.open();
+        }
+      } else if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isOpen() && !this.isTyping(e.target)) {
+        e.preventDefault();
+        this.open();
+      }
+    });
+
+    this.input.addEventListener('input', () => this.update());
+    this.palette.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    this.list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('.search-result');
+      if (option) this.setActive(Number(option.dataset.index));
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('.search-result');
+      if (option) this.go(this.results[Number(option.dataset.index)]);
+    });
+  }
+
+  /**
+   * Check whether a key event target is a text field
+   * @param {Element} target - Event target
+   * @returns {boolean} True if the user is typing
+   */
+  isTyping(target) {
+    return Boolean(target && (target.isContentEditable || target.closest('input, textarea, select')));
+  }
+
+  /**
+   * @returns {boolean} True if the palette is showing
+   */
+  isOpen() {
+    return !this.palette.hidden;
+  }
+
+  /**
+   * Handle keys inside the palette
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.setActive(this.results.length ? (this.activeIndex + 1) % this.results.length : -1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.setActive(this.results.length ? (this.activeIndex - 1 + this.results.length) % this.results.length : -1);
+        break;
+      case 'Enter':
+        if (this.results[this.activeIndex]) {
+          e.preventDefault();
+          this.go(this.results[this.activeIndex]);
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+      case 'Tab':
+        // The input is the only stop; results are reached with the arrows
+        e.preventDefault();
+        this.input.focus();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Open the palette and focus the input
+   */
+  open() {
+    if (this.isOpen()) return;
+
+    this.lastFocus = document.activeElement;
+    this.palette.hidden = false;
+    document.body.classList.add('search-open');
+    this.loadIndex();
+    this.input.value = '';
+    this.update();
+    this.input.focus();
+  }
+
+  /**
+   * Close the palette and return focus to where it was
+   */
+  close() {
+    if (!this.isOpen()) return;
+
+    this.palette.hidden = true;
+    document.body.classList.remove('search-open');
+    if (this.lastFocus && typeof this.lastFocus.focus === 'function') {
+      this.lastFocus.focus();
+    }
+  }
+
+  /**
+   * Score a fuzzy match of the query against text
+   * Every query character must appear in order; word starts and runs of
+   * consecutive characters score higher, and a plain substring beats both
+   * @param {string} query - Lowercase query
+   * @param {string} text - Lowercase text
+   * @returns {number} Score, or 0 if it doesn't match
+   */
+  fuzzyScore(query, text) {
+    if (!query) return 0;
+
+    const substring = text.indexOf(query);
+    if (substring !== -1) {
+      const atWordStart = substring === 0 || /[\s\-_/:,.(]/.test(text[substring - 1]);
+      return 100 + (atWordStart ? 50 : 0) + (substring === 0 ? 25 : 0) - Math.min(text.length, 50) / 10;
+    }
+
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+    for (const char of query) {
+      const found = text.indexOf(char, position);
+      if (found === -1) return 0;
+
+      score += 1;
+      if (found === previous + 1) score += 3;
+      if (found === 0 || /[\s\-_/:,.(]/.test(text[found - 1])) score += 5;
+      previous = found;
+      position = found + 1;
+    }
+    return score;
+  }
+
+  /**
+   * Score an entry against the query words
+   * Each word must match the title (fuzzy) or the page text (substring)
+   * @param {Object} entry - Search entry
+   * @param {string[]} words - Lowercase query words
+   * @returns {number} Score, or 0 if it doesn't match
+   */
+  scoreEntry(entry, words) {
+    const title = entry.title.toLowerCase();
+    const crumb = entry.crumb.toLowerCase();
+    const text = entry.text.toLowerCase();
+    let total = 0;
+
+    for (const word of words) {
+      const inTitle = this.fuzzyScore(word, title);
+      const inCrumb = crumb.includes(word) ? 10 : 0;
+      const inText = text.includes(word) ? 5 : 0;
+      const best = Math.max(inTitle * 2, inCrumb, inText);
+      if (!best) return 0;
+      total += best;
+    }
+
+    // Whole pages edge out their own sections on equal matches
+    return total + (entry.kind === 'page' ? 1 : 0);
+  }
+
+  /**
+   * Re-run the search for the current input
+   */
+  update() {
+    const query = this.input.value.trim().toLowerCase();
+    const words = query.split(/\s+/).filter(Boolean);
+
+    if (!words.length) {
+      // Empty query: list the pages, in menu order
+      this.results = this.entries.filter(entry => entry.kind === 'page');
+    } else {
+      this.results = this.entries
+        .map(entry => ({ entry, score: this.scoreEntry(entry, words) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxResults)
+        .map(result => result.entry);
+    }
+
+    this.render(words);
+  }
+
+  /**
+   * Build a short snippet around the first query word found in the text
+   * @param {string} text - Entry text
+   * @param {string[]} words - Lowercase query words
+   * @returns {string} Snippet (may be empty)
+   */
+  snippet(text, words) {
+    if (!text) return '';
+
+    const lower = text.toLowerCase();
+    const hit = words.map(word => lower.indexOf(word)).filter(index => index !== -1).sort((a, b) => a - b)[0];
+    const start = hit === undefined ? 0 : Math.max(0, hit - 40);
+    const clipped = text.slice(start, start + 120);
+    return `${start > 0 ? '…' : ''}${clipped}${start + 120 < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Append text to an element with the query words wrapped in <mark>
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Text to show
+   * @param {string[]} words - Lowercase query words
+   */
+  appendHighlighted(element, text, words) {
+    const pattern = words.length
+      ? new RegExp(`(${words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi')
+      : null;
+    const parts = pattern ? text.split(pattern) : [text];
+
+    parts.forEach((part, i) => {
+      if (!part) return;
+      if (i % 2 === 1) {
+        const mark = document.createElement('mark');
+        mark.textContent = part;
+        element.appendChild(mark);
+      } else {
+        element.appendChild(document.createTextNode(part));
+      }
+    });
+  }
+
+  /**
+   * Render the result list
+   * @param {string[]} words - Lowercase query words
+   */
+  render(words) {
+    this.list.innerHTML = '';
+
+    this.results.forEach((entry, index) => {
+      const option = document.createElement('li');
+      option.className = 'search-result';
+      option.id = `searchResult${index}`;
+      option.dataset.index = index;
+      option.setAttribute('role', 'option');
+
+      const title = document.createElement('span');
+      title.className = 'search-result-title';
+      this.appendHighlighted(title, entry.title, words);
+      option.appendChild(title);
+
+      if (entry.crumb) {
+        const crumb = document.createElement('span');
+        crumb.className = 'search-result-crumb';
+        crumb.textContent = entry.crumb;
+        option.appendChild(crumb);
+      }
+
+      const snippet = this.snippet(entry.text, words);
+      if (snippet && words.length) {
+        const text = document.createElement('span');
+        text.className = 'search-result-snippet';
+        this.appendHighlighted(text, snippet, words);
+        option.appendChild(text);
+      }
+
+      this.list.appendChild(option);
+    });
+
+    if (!this.results.length) {
+      this.status.textContent = this.indexState === 'loading' ? 'loading…' : 'no results';
+    } else {
+      this.status.textContent = words.length
+        ? `${this.results.length} ${this.results.length === 1 ? 'result' : 'results'}`
+        : '';
+    }
+
+    this.setActive(this.results.length ? 0 : -1);
+  }
+
+  /**
+   * Highlight a result and point the input at it
+   * @param {number} index - Result index, or -1 for none
+   */
+  setActive(index) {
+    const options = this.list.querySelectorAll('.search-result');
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+    this.activeIndex = index;
+
+    if (index === -1) {
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.input.setAttribute('aria-activedescendant', options[index].id);
+    options[index].scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Go to a result: another page, or a heading on this one
+   * @param {Object} entry - Search entry
+   */
+  go(entry) {
+    const hash = entry.id ? `#${entry.id}` : '';
+    const target = new URL(siteLink(entry.url), window.location.href);
+    const samePage = target.pathname.replace(/index\.html$/, '') === window.location.pathname.replace(/index\.html$/, '');
+
+    this.lastFocus = null;
+    this.close();
+
+    if (samePage) {
+      const heading = entry.id ? document.getElementById(entry.id) : null;
+      if (heading) {
+        history.pushState(null, '', hash);
+        heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+      } else {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      }
+      return;
+    }
+
+    window.location.href = siteLink(entry.url) + hash;
+  }
+}
+
+// Initialize the command palette when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    new CommandPalette();
+  });
+} else {
+  new CommandPalette();
+}
@@ -0,0 +1,158 @@
+/**
+ * Theme Module
+ *
+ * Applies the theme preference from localStorage using the registry in
+ * config.js (themeConfig). Loaded in <head> right after config.js and run
+ * immediately, so the page is painted in the right theme from the start.
+ * The picker in components.js calls applyTheme() when the choice changes.
+ *
+ * @fileoverview Theme preference handling for nmokey.com
+ */
+
+/**
+ * localStorage key holding the theme preference
+ * @type {string}
+ */
+const THEME_STORAGE_KEY = 'theme';
+
+/**
+ * Media query for the operating system's color scheme
+ * @type {?MediaQueryList}
+ */
+const systemThemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+
+/**
+ * CSS variables set by the current theme, so the next one can clear them
+ * @type {string[]}
+ */
+let appliedThemeVariables = [];
+
+/**
+ * Lists the preferences the picker offers: "system" plus every theme
+ *
+ * @returns {string[]} Preference keys
+ */
+function getThemePreferences() {
+  return ['system', ...Object.keys(themeConfig.themes)];
+}
+
+/**
+ * Theme named in the URL (?theme=dark, as in a shared vector field link),
+ * or null. It is never saved, and the parameter is taken out of the URL
+ * right away so a reload goes back to the saved preference
+ * @type {?string}
+ */
+let linkedTheme = (() => {
+  const params = new URLSearchParams(window.location.search);
+  const key = params.get('theme');
+  if (key === null) {
+    return null;
+  }
+
+  params.delete('theme');
+  const query = params.toString();
+  history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  return Object.prototype.hasOwnProperty.call(themeConfig.themes, key) ? key : null;
+})();
+
+/**
+ * Drops the linked theme, once a theme is picked here or in another tab
+ *
+ * @returns {void}
+ */
+function clearLinkedTheme() {
+  linkedTheme = null;
+}
+
+/**
+ * Reads the saved theme preference
+ * Storage can be unavailable (private mode, blocked cookies), and a saved
+ * theme may have been removed from the registry, so anything unexpected
+ * falls back to "system". A theme in the URL wins over the saved one until
+ * a theme is picked
+ *
+ * @returns {string} "system" or a theme key
+ */
+function getThemePreference() {
+  if (linkedTheme) {
+    return linkedTheme;
+  }
+  let saved = null;
+  try {
+    saved = localStorage.getItem(THEME_STORAGE_KEY);
+  } catch (error) {
+    // Storage blocked - use the default
+  }
+  return getThemePreferences().includes(saved) ? saved : 'system';
+}
+
+/**
+ * Saves the theme preference
+ *
+ * @param {string} preference - "system" or a theme key
+ * @returns {void}
+ */
+function saveThemePreference(preference) {
+  clearLinkedTheme();
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, preference);
+  } catch (error) {
+    // Storage blocked - the choice lasts for this page only
+  }
+}
+
+/**
+ * Resolves a preference to the theme that is actually shown
+ *
+ * @param {string} preference - "system" or a theme key
+ * @returns {string} Theme key
+ */
+function resolveTheme(preference) {
+  if (preference !== 'system') {
+    return preference;
+  }
+  return systemThemeQuery && systemThemeQuery.matches ? themeConfig.system.light : themeConfig.system.dark;
+}
+
+/**
+ * Returns the registry entry of the theme currently shown
+ *
+ * @returns {Object} Theme from themeConfig.themes
+ */
+function getActiveTheme() {
+  const key = document.documentElement.getAttribute('data-theme');
+  return themeConfig.themes[key] || themeConfig.themes[themeConfig.system.dark];
+}
+
+/**
+ * Applies a theme preference to the page
+ * Sets data-theme, data-appearance, and data-theme-preference on <html>,
+ * swaps the theme's CSS variables in as inline properties, then dispatches
+ * a `theme:change` event on document with {theme, preference}.
+ *
+ * @param {string} preference - "system" or a theme key
+ * @returns {string} The resolved theme key
+ */
+function applyTheme(preference) {
+  const key = resolveTheme(preference);
+  const theme = themeConfig.themes[key];
+  const root = document.documentElement;
+  const changed = root.getAttribute('data-theme') !== key || root.getAttribute('data-theme-preference') !== preference;
+
+  appliedThemeVariables.forEach(name => root.style.removeProperty(name));
+  Object.entries(theme.variables).forEach(([name, value]) => root.style.setProperty(name, value));
+  appliedThemeVariables = Object.keys(theme.variables);
+
+  root.style.colorScheme = theme.appearance;
+  root.setAttribute('data-theme', key);
+  root.setAttribute('data-appearance', theme.appearance);
+  root.setAttribute('data-theme-preference', preference);
+
+  if (changed) {
+    document.dispatchEvent(new CustomEvent('theme:change', { detail: { theme: key, preference } }));
+  }
+  return key;
+}
+
+// Apply before first paint
+applyTheme(getThemePreference());
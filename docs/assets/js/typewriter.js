@@ -0,0 +1,442 @@
+/**
+ * @file typewriter.js
+ * @description Typewriter text for any element marked with data-typewriter.
+ * It types a phrase, holds it, deletes it, and types the next:
+ *
+ *   <span data-typewriter="roles"></span>
+ *   <span data-typewriter data-phrases="fast | small | fun" data-shuffle></span>
+ *
+ * Attributes (all optional except the phrases):
+ *   data-typewriter     name of a list in typewriterLists (config.js); phrases
+ *                       there can carry a link (href) or a color
+ *   data-phrases        phrases separated by "|", instead of a named list
+ *   data-type-speed     ms per typed character (default 50)
+ *   data-delete-speed   ms per deleted character (default 30)
+ *   data-pause          ms a finished phrase stays up (default 3000)
+ *   data-gap            ms between deleting one phrase and typing the next
+ *                       (default 200)
+ *   data-start-delay    ms the first phrase stays up (default 2000)
+ *   data-shuffle        random order, reshuffled on every pass
+ *   data-loop="false"   stop on the last phrase instead of starting over
+ *   data-live="off"     don't announce phrases to screen readers
+ *
+ * Screen readers never hear the keystrokes: the typed text is hidden from
+ * them, and a separate polite live region gets each phrase once it is
+ * complete - the first time only, so a looping list isn't read out again
+ * on every pass. Typing pauses while the tab is hidden, the element is off
+ * screen, or the pointer is over it (so a link can't vanish mid-click).
+ * With prefers-reduced-motion, phrases crossfade instead of being typed.
+ */
+
+/**
+ * Typewriter Component
+ * One timer per instance, cleared whenever the typewriter pauses. The
+ * instance is kept on element.typewriter; destroy() stops it and leaves
+ * the current phrase as plain text.
+ */
+class Typewriter {
+  /**
+   * @param {HTMLElement} element - Element with data-typewriter
+   */
+  constructor(element) {
+    this.element = element;
+    this.options = {};
+    this.phrases = [];
+    this.order = []; // Indices into phrases, in the order they're shown
+    this.position = 0; // Current index into order
+    this.typed = 0; // Characters of the current phrase showing
+    this.phase = 'holding'; // typing, holding, deleting, fading, or done
+    this.timer = null;
+    this.delay = 0; // Delay of the step waiting to run
+    this.pauses = new Set(); // Reasons typing is paused: hidden, offscreen, hover
+    this.announced = new Set(); // Phrases already given to screen readers
+    this.listeners = new AbortController();
+    this.observer = null;
+    this.reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    if (element.typewriter) {
+      return; // Already set up
+    }
+
+    this.init();
+  }
+
+  /**
+   * Read the options and phrases, render, and start
+   */
+  init() {
+    this.options = this.readOptions();
+    this.phrases = this.readPhrases();
+    if (this.phrases.length === 0) {
+      console.warn('Typewriter: no phrases (set data-typewriter to a typewriterLists name, or data-phrases)', this.element);
+      return;
+    }
+
+    this.order = this.shuffled();
+    this.typed = this.current().text.length;
+
+    this.render();
+    this.bindEvents();
+    this.element.typewriter = this;
+
+    this.show();
+    this.announce();
+    if (this.phrases.length === 1) {
+      this.finish();
+    } else {
+      this.schedule(this.options.startDelay);
+    }
+  }
+
+  /**
+   * Read the options from data attributes
+   * Numbers that aren't zero or more fall back to the default with a
+   * console warning
+   * @returns {Object} Options
+   */
+  readOptions() {
+    const data = this.element.dataset;
+    const options = { ...Typewriter.DEFAULTS };
+
+    ['typeSpeed', 'deleteSpeed', 'pause', 'gap', 'startDelay'].forEach((name) => {
+      if (data[name] === undefined) return;
+      const value = Number(data[name]);
+      if (Number.isFinite(value) && value >= 0) {
+        options[name] = value;
+      } else {
+        console.warn(`Typewriter: ignoring ${name} "${data[name]}" (expected milliseconds)`);
+      }
+    });
+
+    options.shuffle = data.shuffle !== undefined && data.shuffle !== 'false';
+    options.loop = data.loop !== 'false';
+    options.live = data.live === 'off' ? 'off' : 'polite';
+    return options;
+  }
+
+  /**
+   * Read the phrases from the named list or data-phrases
+   * @returns {Object[]} {text, href, color} phrases
+   */
+  readPhrases() {
+    const name = this.element.dataset.typewriter;
+    const lists = typeof typewriterLists === 'undefined' ? {} : typewriterLists;
+    let phrases = [];
+
+    if (name && Object.prototype.hasOwnProperty.call(lists, name)) {
+      phrases = lists[name];
+    } else if (this.element.dataset.phrases) {
+      phrases = this.element.dataset.phrases.split('|');
+    } else if (name) {
+      console.warn(`Typewriter: unknown list "${name}" in typewriterLists`);
+    }
+
+    return phrases
+      .map(phrase => (typeof phrase === 'string' ? { text: phrase } : phrase))
+      .map(phrase => ({ ...phrase, text: String(phrase.text || '').trim() }))
+      .filter(phrase => phrase.text);
+  }
+
+  /**
+   * Order for one pass through the phrases: as listed, or shuffled so the
+   * new pass doesn't open with the phrase the last one ended on
+   * @returns {number[]} Indices into phrases
+   */
+  shuffled() {
+    const order = this.phrases.map((phrase, index) => index);
+    if (!this.options.shuffle) {
+      return order;
+    }
+
+    const previous = this.order.length ? this.order[this.order.length - 1] : -1;
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    if (order.length > 1 && order[0] === previous) {
+      [order[0], order[1]] = [order[1], order[0]];
+    }
+    return order;
+  }
+
+  /**
+   * The phrase being shown
+   * @returns {Object} {text, href, color}
+   */
+  current() {
+    return this.phrases[this.order[this.position]];
+  }
+
+  /**
+   * Whether the current phrase is the last of this pass
+   * @returns {boolean}
+   */
+  isLast() {
+    return this.position === this.order.length - 1;
+  }
+
+  /**
+   * Move on to the next phrase, starting a new pass after the last
+   */
+  advance() {
+    this.position++;
+    if (this.position >= this.order.length) {
+      this.order = this.shuffled();
+      this.position = 0;
+    }
+  }
+
+  /**
+   * Render the typed text (hidden from screen readers) and the live region
+   * they hear instead
+   */
+  render() {
+    this.element.classList.add('typewriter');
+    this.element.textContent = '';
+
+    this.output = document.createElement('span');
+    this.output.className = 'typewriter-output';
+    this.output.setAttribute('aria-hidden', 'true');
+
+    this.live = document.createElement('span');
+    this.live.className = 'typewriter-live';
+    this.live.setAttribute('aria-live', this.options.live);
+    this.live.setAttribute('aria-atomic', 'true');
+
+    this.element.appendChild(this.output);
+    this.element.appendChild(this.live);
+  }
+
+  /**
+   * Pause while the tab is hidden, the element is off screen, or the
+   * pointer is over it
+   */
+  bindEvents() {
+    const signal = this.listeners.signal;
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pause('hidden');
+      } else {
+        this.resume('hidden');
+      }
+    }, { signal });
+
+    this.element.addEventListener('pointerenter', () => this.pause('hover'), { signal });
+    this.element.addEventListener('pointerleave', () => this.resume('hover'), { signal });
+
+    if (typeof IntersectionObserver === 'function') {
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            this.resume('offscreen');
+          } else {
+            this.pause('offscreen');
+          }
+        });
+      });
+      this.observer.observe(this.element);
+    }
+
+    if (document.hidden) {
+      this.pause('hidden');
+    }
+  }
+
+  /**
+   * Show the typed part of the current phrase, as a link if it has one
+   */
+  show() {
+    const phrase = this.current();
+    const text = phrase.text.slice(0, this.typed);
+
+    this.output.textContent = '';
+    this.output.style.color = phrase.color || '';
+
+    if (phrase.href && text) {
+      const link = document.createElement('a');
+      link.className = 'typewriter-link';
+      link.href = typeof siteLink === 'function' ? siteLink(phrase.href) : phrase.href;
+      link.tabIndex = -1; // Only on screen for a moment; not a tab stop
+      link.textContent = text;
+      this.output.appendChild(link);
+    } else {
+      this.output.textContent = text;
+    }
+  }
+
+  /**
+   * Give screen readers the whole current phrase, unless they have had it
+   * already; after the first pass the live region keeps the last phrase
+   */
+  announce() {
+    const index = this.order[this.position];
+    if (this.announced.has(index)) {
+      return;
+    }
+    this.announced.add(index);
+    this.live.textContent = this.current().text;
+  }
+
+  /**
+   * Run the next step after a delay, unless paused
+   * @param {number} delay - Milliseconds
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.delay = delay;
+    if (this.pauses.size === 0 && this.phase !== 'done') {
+      this.timer = setTimeout(() => this.step(), delay);
+    }
+  }
+
+  /**
+   * Stop the timer until every reason to pause has cleared
+   * @param {string} reason - "hidden", "offscreen", or "hover"
+   */
+  pause(reason) {
+    this.pauses.add(reason);
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Clear a reason to pause, and carry on if it was the last one
+   * The step that was waiting gets its full delay again
+   * @param {string} reason - "hidden", "offscreen", or "hover"
+   */
+  resume(reason) {
+    if (!this.pauses.delete(reason) || this.pauses.size > 0) {
+      return;
+    }
+    this.schedule(this.delay);
+  }
+
+  /**
+   * Advance the animation by one character, or one phase
+   */
+  step() {
+    if (this.reducedMotionQuery && this.reducedMotionQuery.matches) {
+      this.crossfadeStep();
+      return;
+    }
+
+    const phrase = this.current();
+
+    if (this.phase === 'typing') {
+      if (this.typed < phrase.text.length) {
+        this.typed++;
+        this.show();
+        this.schedule(this.options.typeSpeed);
+        return;
+      }
+      this.announce();
+      if (!this.options.loop && this.isLast()) {
+        this.finish();
+        return;
+      }
+      this.phase = 'holding';
+      this.schedule(this.options.pause);
+    } else if (this.phase === 'holding' || this.phase === 'deleting' || this.phase === 'fading') {
+      this.element.classList.remove('typewriter-fading');
+      if (this.typed > 0) {
+        this.phase = 'deleting';
+        this.typed--;
+        this.show();
+        this.schedule(this.options.deleteSpeed);
+        return;
+      }
+      this.advance();
+      this.phase = 'typing';
+      this.show();
+      this.schedule(this.options.gap);
+    }
+  }
+
+  /**
+   * Reduced motion: fade the whole phrase out, swap it, and fade back in
+   */
+  crossfadeStep() {
+    if (this.phase === 'holding') {
+      this.phase = 'fading';
+      this.element.classList.add('typewriter-fading');
+      this.schedule(Typewriter.FADE_DURATION);
+      return;
+    }
+
+    // Fading out finished; otherwise the preference changed mid-phrase,
+    // which just completes the current one
+    if (this.phase === 'fading') {
+      this.advance();
+    }
+    this.typed = this.current().text.length;
+    this.show();
+    this.element.classList.remove('typewriter-fading');
+    this.announce();
+
+    if (!this.options.loop && this.isLast()) {
+      this.finish();
+      return;
+    }
+    this.phase = 'holding';
+    this.schedule(this.options.pause + Typewriter.FADE_DURATION);
+  }
+
+  /**
+   * Stop on the current phrase
+   */
+  finish() {
+    this.phase = 'done';
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.element.classList.add('typewriter-done');
+  }
+
+  /**
+   * Stop for good: clear the timer, remove every listener, and leave the
+   * current phrase as plain text
+   */
+  destroy() {
+    this.finish();
+    this.listeners.abort();
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (this.phrases.length === 0) {
+      return; // Never started
+    }
+    this.element.classList.remove('typewriter', 'typewriter-fading', 'typewriter-done');
+    this.element.textContent = this.current().text;
+    delete this.element.typewriter;
+  }
+}
+
+/**
+ * Timings used when an attribute doesn't set them, in milliseconds
+ * @type {Object}
+ */
+Typewriter.DEFAULTS = {
+  typeSpeed: 50,
+  deleteSpeed: 30,
+  pause: 3000,
+  gap: 200,
+  startDelay: 2000
+};
+
+/**
+ * Length of the reduced-motion crossfade; matches .typewriter-output's
+ * opacity transition in components.css
+ * @type {number}
+ */
+Typewriter.FADE_DURATION = 300;
+
+// Initialize every typewriter on the page when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('[data-typewriter]').forEach(element => new Typewriter(element));
+  });
+} else {
+  document.querySelectorAll('[data-typewriter]').forEach(element => new Typewriter(element));
+}
@@ -0,0 +1,150 @@
+/**
+ * Vector Field Benchmark
+ *
+ * Frame-time harness for vector-field.js. Open any page with
+ * ?vector-field-bench in the URL (or call runVectorFieldBenchmark() from
+ * the console once this file is loaded) and keep the mouse still.
+ *
+ * Each pipeline draws the same scene - six charges and a cursor circling
+ * the middle of the screen, so every frame has to be redrawn - onto a
+ * detached canvas the size of the viewport at the screen's pixel ratio.
+ * The time measured is the main-thread time spent computing the field and
+ * issuing draw calls; the "before" row draws every vector on its own with
+ * drawVector(), as the background did before strokes were batched.
+ * Results go to console.table and a small panel (click it to close).
+ *
+ * @fileoverview Frame-time benchmark for the vector field background
+ */
+
+/**
+ * Runs every pipeline in turn, one frame per animation frame
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.frames=120] - Measured frames per pipeline
+ * @param {number} [options.warmup=10] - Unmeasured frames first (JIT, caches)
+ * @returns {Promise<Array<Object>>} One row per pipeline: name and mean/median/p95/max in ms
+ */
+function runVectorFieldBenchmark(options = {}) {
+  const frames = options.frames || 120;
+  const warmup = options.warmup === undefined ? 10 : options.warmup;
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  const pixelRatio = Math.min(window.devicePixelRatio || 1, 3);
+  const ramp = typeof getActiveTheme === 'function' ? getActiveTheme().vectorField : VectorFieldRenderer.DEFAULT_RAMP;
+
+  // Charges on a ring around the centre, alternating + and −
+  const charges = Array.from({ length: 6 }, (_, i) => ({
+    x: width / 2 + Math.cos((i / 6) * Math.PI * 2) * width * 0.3,
+    y: height / 2 + Math.sin((i / 6) * Math.PI * 2) * height * 0.3,
+    charge: i % 2 ? -1 : 1
+  }));
+
+  // The baseline: one save/restore, color string, and stroke per vector
+  const drawUnbatched = (renderer) => {
+    renderer.ctx.clearRect(0, 0, renderer.width, renderer.height);
+    renderer.computeArrows().forEach(arrow => {
+      renderer.drawVector(arrow.x1, arrow.y1, arrow.x2, arrow.y2, renderer.getColor(arrow.distance), arrow.strength);
+    });
+    renderer.drawCharges();
+  };
+
+  const pipelines = [
+    { name: 'arrows, one stroke per vector (before)', mode: 'arrows', draw: drawUnbatched },
+    { name: 'arrows, batched by color', mode: 'arrows' },
+    { name: 'lines', mode: 'lines' },
+    { name: 'flow', mode: 'flow' }
+  ];
+
+  const measure = (pipeline) => new Promise(resolve => {
+    const canvas = document.createElement('canvas');
+    const renderer = new VectorFieldRenderer(canvas, { mode: pipeline.mode });
+    renderer.resize(width, height, pixelRatio);
+    if (pipeline.draw) {
+      renderer.draw = () => pipeline.draw(renderer);
+    }
+
+    const times = [];
+    let frame = 0;
+    const step = () => {
+      const angle = (frame / 60) * Math.PI;
+      const cursor = {
+        x: width / 2 + Math.cos(angle) * width * 0.15,
+        y: height / 2 + Math.sin(angle) * height * 0.15,
+        charge: -1
+      };
+
+      const start = performance.now();
+      renderer.render({ sources: [...charges, cursor], charges, ramp });
+      if (frame >= warmup) {
+        times.push(performance.now() - start);
+      }
+
+      frame++;
+      if (frame < warmup + frames) {
+        requestAnimationFrame(step);
+      } else {
+        resolve(summarizeFrameTimes(pipeline.name, times));
+      }
+    };
+    requestAnimationFrame(step);
+  });
+
+  console.info(`VectorField benchmark: ${frames} frames per pipeline at ${width}×${height} @${pixelRatio}x`);
+
+  return pipelines
+    .reduce((done, pipeline) => done.then(rows => measure(pipeline).then(row => [...rows, row])), Promise.resolve([]))
+    .then(rows => {
+      console.table(rows);
+      showBenchmarkResults(rows, `${width}×${height} @${pixelRatio}x, ${frames} frames`);
+      return rows;
+    });
+}
+
+/**
+ * Reduces frame times to summary statistics
+ *
+ * @param {string} name - Pipeline name
+ * @param {number[]} times - Frame times in ms
+ * @returns {{pipeline: string, mean: number, median: number, p95: number, max: number}} Row in ms, two decimals
+ */
+function summarizeFrameTimes(name, times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    pipeline: name,
+    mean: round(times.reduce((sum, time) => sum + time, 0) / times.length),
+    median: round(at(0.5)),
+    p95: round(at(0.95)),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+/**
+ * Shows the results in a fixed panel over the page
+ *
+ * @param {Array<Object>} rows - Rows from summarizeFrameTimes()
+ * @param {string} setup - Viewport and frame count, shown as the heading
+ * @returns {void}
+ */
+function showBenchmarkResults(rows, setup) {
+  const panel = document.createElement('pre');
+  panel.className = 'vector-field-bench';
+  panel.style.cssText = [
+    'position: fixed', 'left: 1rem', 'bottom: 1rem', 'z-index: calc(var(--z-menu) + 30)',
+    'margin: 0', 'padding: 0.75rem 1rem', 'max-width: calc(100vw - 2rem)', 'overflow-x: auto',
+    'font: 12px/1.5 var(--font-mono)', 'color: var(--color-text)',
+    'background: var(--color-bg-alt)', 'border: 1px solid var(--color-border)', 'border-radius: 6px'
+  ].join('; ');
+
+  const width = Math.max(...rows.map(row => row.pipeline.length));
+  panel.textContent = [
+    `vector field frame time (ms) - ${setup}`,
+    `${'pipeline'.padEnd(width)}   mean  median    p95    max`,
+    ...rows.map(row => `${row.pipeline.padEnd(width)} ${[row.mean, row.median, row.p95, row.max].map(value => value.toFixed(2).padStart(6)).join(' ')}`)
+  ].join('\n');
+
+  panel.addEventListener('click', () => panel.remove());
+  document.body.appendChild(panel);
+}
@@ -0,0 +1,281 @@
+/**
+ * @file vector-field-demo.js
+ * @description Embeddable vector field demos for page content. Each element
+ * marked with data-vector-field-demo becomes a bounded field (a VectorField
+ * from vector-field.js in embedded mode) with its own control panel for
+ * grid size, line length, mode, model, and charge value:
+ *
+ *   <div data-vector-field-demo data-mode="lines" data-model="coulomb"
+ *        data-charges="0.35 0.5 +1; 0.65 0.5 -1"></div>
+ *
+ * Attributes (all optional):
+ *   data-mode         arrows, lines, or flow (default arrows)
+ *   data-model        a field model, as for <body data-vector-field-model>
+ *   data-grid-size    spacing between arrows in pixels (default 40)
+ *   data-line-length  length of each arrow in pixels (default 25)
+ *   data-charge       charge placed by a click (default 1)
+ *   data-charges      starting charges as "x y charge", separated by ";"
+ *                     (x and y are fractions of the demo's width and height)
+ *   data-height       height of the field in pixels (default 320)
+ *   data-label        accessible name for the demo
+ *
+ * Demos are independent: clicks, pointers, and settings in one never reach
+ * another or the page background. Needs vector-field.js on the page.
+ */
+
+/**
+ * Vector Field Demo Component
+ * Builds the field and its panel inside a demo element. The instance is
+ * kept on element.vectorFieldDemo; destroy() stops the field, removes its
+ * listeners, and puts the element back the way it was.
+ */
+class VectorFieldDemo {
+  /**
+   * @param {HTMLElement} element - Element with data-vector-field-demo
+   */
+  constructor(element) {
+    this.element = element;
+    this.field = null;
+    this.controls = {};
+    this.listeners = new AbortController();
+
+    if (element.vectorFieldDemo) {
+      return; // Already set up
+    }
+
+    this.init();
+  }
+
+  /**
+   * Read the settings, build the field and its panel
+   */
+  init() {
+    const data = this.element.dataset;
+    this.settings = {
+      mode: VectorField.MODES.includes(data.mode) ? data.mode : 'arrows',
+      model: data.model || 'classic',
+      gridSize: this.readNumber('gridSize', 40, 20, 80),
+      lineLength: this.readNumber('lineLength', 25, 10, 50),
+      chargeValue: this.readNumber('charge', 1, 0.5, 5)
+    };
+
+    this.render();
+
+    this.field = new VectorField(this.canvas, {
+      embedded: true,
+      surface: this.stage,
+      ambient: false,
+      mode: this.settings.mode,
+      model: this.settings.model,
+      gridSize: this.settings.gridSize,
+      lineLength: this.settings.lineLength,
+      chargeValue: this.settings.chargeValue,
+      charges: this.readCharges(data.charges || '')
+    });
+
+    this.bindEvents();
+    this.element.vectorFieldDemo = this;
+  }
+
+  /**
+   * Read a numeric data attribute, clamped to the slider's range
+   * @param {string} name - dataset key
+   * @param {number} fallback - Value when missing or not a number
+   * @param {number} min - Smallest allowed value
+   * @param {number} max - Largest allowed value
+   * @returns {number} The value
+   */
+  readNumber(name, fallback, min, max) {
+    const value = parseFloat(this.element.dataset[name]);
+    if (Number.isNaN(value)) {
+      return fallback;
+    }
+    return Math.min(max, Math.max(min, value));
+  }
+
+  /**
+   * Read the starting charges from data-charges
+   * Each takes the demo's charge value, keeping its sign
+   * @param {string} list - "x y charge" entries separated by ";"
+   * @returns {Object[]} {x, y, charge} with x and y as fractions of the field
+   */
+  readCharges(list) {
+    const charges = [];
+    list.split(';').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+      const [x, y, charge] = entry.split(/\s+/).map(Number);
+      if ([x, y, charge].some(Number.isNaN) || charge === 0) {
+        console.warn(`VectorFieldDemo: ignoring charge "${entry}" (expected "x y charge")`);
+        return;
+      }
+      charges.push({ x, y, charge: Math.sign(charge) * this.settings.chargeValue });
+    });
+    return charges;
+  }
+
+  /**
+   * List the field models the panel offers: the built-in ones and any
+   * from vectorFieldModels (config.js)
+   * @returns {Object[]} {value, label} options
+   */
+  modelOptions() {
+    const builtIn = Object.entries(VectorFieldRenderer.MODELS).map(([value, model]) => ({ value, label: model.label }));
+    const custom = typeof vectorFieldModels === 'undefined' ? [] :
+      Object.entries(vectorFieldModels).map(([value, model]) => ({ value, label: model.label || value }));
+    const options = [...builtIn, ...custom];
+
+    // A model missing from the list still shows as chosen
+    if (!options.some(option => option.value === this.settings.model)) {
+      options.push({ value: this.settings.model, label: this.settings.model });
+    }
+    return options;
+  }
+
+  /**
+   * Build a labelled control
+   * @param {string} label - Visible label
+   * @param {HTMLElement} input - The control
+   * @returns {HTMLLabelElement} Label wrapping the control
+   */
+  createControl(label, input) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'vector-field-demo-control';
+
+    const text = document.createElement('span');
+    text.className = 'vector-field-demo-label';
+    text.textContent = label;
+
+    wrapper.appendChild(text);
+    wrapper.appendChild(input);
+    this.controls[input.name] = input;
+    return wrapper;
+  }
+
+  /**
+   * Build a range slider with its current value shown after the label
+   * @param {string} name - Setting name
+   * @param {string} label - Visible label
+   * @param {number} min - Minimum
+   * @param {number} max - Maximum
+   * @param {number} step - Step
+   * @returns {HTMLLabelElement} Label wrapping the slider
+   */
+  createSlider(name, label, min, max, step) {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.name = name;
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = this.settings[name];
+
+    const wrapper = this.createControl(label, input);
+    const output = document.createElement('output');
+    output.className = 'vector-field-demo-value';
+    output.textContent = input.value;
+    wrapper.firstChild.appendChild(output);
+    return wrapper;
+  }
+
+  /**
+   * Build a <select>
+   * @param {string} name - Setting name
+   * @param {string} label - Visible label
+   * @param {Object[]} options - {value, label} options
+   * @returns {HTMLLabelElement} Label wrapping the select
+   */
+  createSelect(name, label, options) {
+    const select = document.createElement('select');
+    select.name = name;
+    options.forEach((choice) => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.label;
+      select.appendChild(option);
+    });
+    select.value = this.settings[name];
+    return this.createControl(label, select);
+  }
+
+  /**
+   * Render the stage and the panel into the demo element
+   */
+  render() {
+    this.container = document.createElement('figure');
+    this.container.className = 'vector-field-demo';
+
+    this.stage = document.createElement('div');
+    this.stage.className = 'vector-field-demo-stage';
+    this.stage.style.height = `${this.readNumber('height', 320, 120, 800)}px`;
+    this.stage.setAttribute('role', 'img');
+    this.stage.setAttribute('aria-label', this.element.dataset.label || 'interactive vector field: click to place a charge, shift+click for a negative one, double-click to clear');
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'vector-field-demo-canvas';
+    this.stage.appendChild(this.canvas);
+
+    this.form = document.createElement('form');
+    this.form.className = 'vector-field-demo-panel';
+    this.form.setAttribute('aria-label', 'Vector field settings');
+
+    this.form.appendChild(this.createSlider('gridSize', 'grid', 20, 80, 5));
+    this.form.appendChild(this.createSlider('lineLength', 'length', 10, 50, 1));
+    this.form.appendChild(this.createSelect('mode', 'mode', VectorField.MODES.map(mode => ({ value: mode, label: mode }))));
+    this.form.appendChild(this.createSelect('model', 'model', this.modelOptions()));
+    this.form.appendChild(this.createSlider('chargeValue', 'charge', 0.5, 5, 0.5));
+
+    this.clearButton = document.createElement('button');
+    this.clearButton.type = 'button';
+    this.clearButton.className = 'vector-field-demo-clear';
+    this.clearButton.textContent = 'clear';
+    this.form.appendChild(this.clearButton);
+
+    this.container.appendChild(this.stage);
+    this.container.appendChild(this.form);
+    this.element.appendChild(this.container);
+  }
+
+  /**
+   * Bind the panel to the field
+   */
+  bindEvents() {
+    const signal = this.listeners.signal;
+
+    this.form.addEventListener('input', (e) => {
+      const input = e.target;
+      if (!input.name) return;
+
+      const value = input.type === 'range' ? Number(input.value) : input.value;
+      if (input.type === 'range') {
+        input.parentNode.querySelector('output').textContent = input.value;
+      }
+      this.settings[input.name] = value;
+      this.field.configure({ [input.name]: value });
+    }, { signal });
+
+    this.form.addEventListener('submit', (e) => e.preventDefault(), { signal });
+
+    this.clearButton.addEventListener('click', () => this.field.clearCharges(), { signal });
+  }
+
+  /**
+   * Stop the field, remove every listener, and take the demo out of the page
+   */
+  destroy() {
+    this.listeners.abort();
+    if (this.field) {
+      this.field.destroy();
+      this.field = null;
+    }
+    this.container.remove();
+    delete this.element.vectorFieldDemo;
+  }
+}
+
+// Initialize every demo on the page when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('[data-vector-field-demo]').forEach(element => new VectorFieldDemo(element));
+  });
+} else {
+  document.querySelectorAll('[data-vector-field-demo]').forEach(element => new VectorFieldDemo(element));
+}
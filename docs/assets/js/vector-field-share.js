@@ -0,0 +1,250 @@
+/**
+ * @file vector-field-share.js
+ * @description Export and share control for the background vector field
+ * (VectorField.background, from vector-field.js). A small button in the
+ * bottom-left corner opens a menu to:
+ *
+ *   - save the current frame as a PNG (VectorField#toPNG)
+ *   - save it as an SVG built from the same vectors (VectorField#toSVG)
+ *   - copy a link that reopens the page with this scene: placed charges,
+ *     mode, model, grid size, and theme (VectorField#getShareURL)
+ *
+ * Nothing is added on pages without a background field.
+ */
+
+/**
+ * Vector Field Share Component
+ * Button and menu, with the same keyboard handling as the theme picker:
+ * ↑/↓, Home/End, Enter/Space, and Escape.
+ */
+class VectorFieldShare {
+  constructor() {
+    this.field = typeof VectorField === 'function' ? VectorField.background : null;
+    this.actions = [
+      { name: 'png', label: 'save png' },
+      { name: 'svg', label: 'save svg' },
+      { name: 'link', label: 'copy link' }
+    ];
+
+    if (!this.field || !this.field.canvas) {
+      return; // No background field on this page
+    }
+
+    this.init();
+  }
+
+  /**
+   * Build the control and bind its events
+   */
+  init() {
+    this.render();
+    this.bindEvents();
+  }
+
+  /**
+   * Render the button and its menu
+   */
+  render() {
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'field-share-toggle';
+    this.button.setAttribute('aria-label', 'Export or share the background field');
+    this.button.setAttribute('aria-haspopup', 'true');
+    this.button.setAttribute('aria-expanded', 'false');
+    this.button.setAttribute('aria-controls', 'fieldShareMenu');
+    this.button.title = 'Export or share the background field';
+    this.button.innerHTML = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M4 12v7a1 1 0 0 0 1 1h14a1 1 0 0 0 1-1v-7"/><path d="M16 6l-4-4-4 4"/><path d="M12 2v13"/></svg>';
+
+    this.menu = document.createElement('ul');
+    this.menu.className = 'field-share-menu';
+    this.menu.id = 'fieldShareMenu';
+    this.menu.setAttribute('role', 'menu');
+    this.menu.setAttribute('aria-label', 'Background field');
+    this.menu.hidden = true;
+
+    this.actions.forEach((action) => {
+      const li = document.createElement('li');
+      li.setAttribute('role', 'none');
+
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'field-share-option';
+      item.dataset.fieldShare = action.name;
+      item.setAttribute('role', 'menuitem');
+      item.textContent = action.label;
+
+      li.appendChild(item);
+      this.menu.appendChild(li);
+    });
+    this.items = Array.from(this.menu.querySelectorAll('.field-share-option'));
+
+    this.status = document.createElement('p');
+    this.status.className = 'field-share-status';
+    this.status.setAttribute('aria-live', 'polite');
+
+    document.body.appendChild(this.button);
+    document.body.appendChild(this.menu);
+    document.body.appendChild(this.status);
+  }
+
+  /**
+   * Whether the menu is showing
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !this.menu.hidden;
+  }
+
+  /**
+   * Show the menu and focus its first item
+   */
+  open() {
+    this.menu.hidden = false;
+    this.button.setAttribute('aria-expanded', 'true');
+    this.items[0].focus();
+  }
+
+  /**
+   * Hide the menu
+   * @param {boolean} returnFocus - Move focus back to the button
+   */
+  close(returnFocus) {
+    if (!this.isOpen()) return;
+    this.menu.hidden = true;
+    this.button.setAttribute('aria-expanded', 'false');
+    if (returnFocus) this.button.focus();
+  }
+
+  /**
+   * Bind the button, the menu, and outside clicks
+   */
+  bindEvents() {
+    this.button.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close(false);
+      } else {
+        this.open();
+      }
+    });
+
+    this.menu.addEventListener('click', (e) => {
+      const item = e.target.closest('.field-share-option');
+      if (!item) return;
+      this.close(true);
+      this.run(item.dataset.fieldShare);
+    });
+
+    this.menu.addEventListener('keydown', (e) => {
+      const index = this.items.indexOf(document.activeElement);
+      const focusAt = (i) => this.items[(i + this.items.length) % this.items.length].focus();
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          focusAt(index + 1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          focusAt(index - 1);
+          break;
+        case 'Home':
+          e.preventDefault();
+          focusAt(0);
+          break;
+        case 'End':
+          e.preventDefault();
+          focusAt(-1);
+          break;
+        case 'Escape':
+          e.preventDefault();
+          this.close(true);
+          break;
+        case 'Tab':
+          this.close(false);
+          break;
+        default:
+          break;
+      }
+    });
+
+    // Outside click or tap
+    document.addEventListener('pointerdown', (e) => {
+      if (this.isOpen() && !this.menu.contains(e.target) && !this.button.contains(e.target)) {
+        this.close(false);
+      }
+    });
+  }
+
+  /**
+   * Run a menu action
+   * @param {string} name - "png", "svg", or "link"
+   */
+  run(name) {
+    if (name === 'png') {
+      this.field.toPNG()
+        .then(blob => this.download(blob, 'png'))
+        .catch(error => this.announce(`couldn't save the png (${error.message})`));
+    } else if (name === 'svg') {
+      this.download(new Blob([this.field.toSVG()], { type: 'image/svg+xml' }), 'svg');
+    } else if (name === 'link') {
+      this.copyLink(this.field.getShareURL());
+    }
+  }
+
+  /**
+   * Save a file through a temporary download link
+   * @param {Blob} blob - File contents
+   * @param {string} extension - "png" or "svg"
+   */
+  download(blob, extension) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `vector-field-${this.field.fieldModel.name}-${this.field.mode}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    this.announce(`saved ${link.download}`);
+  }
+
+  /**
+   * Copy the share link, or show it for copying by hand where the
+   * clipboard isn't available (older browsers, insecure origins)
+   * @param {string} url - Link to the scene
+   */
+  copyLink(url) {
+    const fallback = () => window.prompt('Copy this link to the scene:', url);
+
+    if (!navigator.clipboard || !window.isSecureContext) {
+      fallback();
+      return;
+    }
+    navigator.clipboard.writeText(url)
+      .then(() => this.announce('link copied'))
+      .catch(fallback);
+  }
+
+  /**
+   * Show a short status message next to the button
+   * @param {string} message - Text to show
+   */
+  announce(message) {
+    this.status.textContent = message;
+    this.status.classList.add('visible');
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      this.status.classList.remove('visible');
+    }, 2000);
+  }
+}
+
+// Initialize the share control when DOM is ready (after vector-field.js
+// has created the background field)
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    new VectorFieldShare();
+  });
+} else {
+  new VectorFieldShare();
+}
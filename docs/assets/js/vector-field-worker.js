@@ -0,0 +1,40 @@
+/**
+ * Vector Field Worker
+ *
+ * Runs VectorFieldRenderer (vector-field.js) off the main thread on the
+ * OffscreenCanvas that VectorField hands over. The page keeps the frame
+ * loop and sends the state for each frame; the worker draws it and
+ * replies "drawn" so the page knows it can send the next one.
+ *
+ * Messages in:
+ * - { type: 'init', canvas, options, width, height, pixelRatio }
+ * - { type: 'resize', width, height, pixelRatio }
+ * - { type: 'configure', options }
+ * - { type: 'frame', frame: { sources, charges, ramp } }
+ *
+ * @fileoverview Web Worker renderer for the vector field background
+ */
+
+importScripts('vector-field.js');
+
+/**
+ * Renderer for the transferred canvas, created by the "init" message
+ * @type {?VectorFieldRenderer}
+ */
+let renderer = null;
+
+self.addEventListener('message', (e) => {
+  const message = e.data;
+
+  if (message.type === 'init') {
+    renderer = new VectorFieldRenderer(message.canvas, message.options);
+    renderer.resize(message.width, message.height, message.pixelRatio);
+  } else if (message.type === 'resize' && renderer) {
+    renderer.resize(message.width, message.height, message.pixelRatio);
+  } else if (message.type === 'configure' && renderer) {
+    renderer.configure(message.options);
+  } else if (message.type === 'frame' && renderer) {
+    renderer.render(message.frame);
+    self.postMessage({ type: 'drawn' });
+  }
+});
@@ -1,82 +1,194 @@
 /**
  * Vector Field Background Module
- * 
+ *
  * Physics-inspired interactive visualization that creates a vector field
  * pointing toward the cursor. Vectors change color based on proximity to cursor,
  * creating a magnetic field-like effect.
- * 
+ *
  * Features:
- * - Instant response (no persistence/trails)
+ * - Instant response (no persistence/trails) in the arrows and lines modes
  * - Color gradient based on distance (blue → purple → gray)
  * - Theme-aware colors (adapts to dark/light mode)
  * - Efficient grid-based calculation
- * 
+ * - Point charges: click or tap empty background to drop a + charge
+ *   (Shift+click for −). Clicking a charge flips + to −, then removes it;
+ *   Alt/Ctrl/Cmd+click removes it directly, and double-click clears all.
+ *   The field is the superposition of every charge plus the cursor.
+ * - Three rendering modes, chosen per page with
+ *   <body data-vector-field-mode="...">:
+ *   - "arrows": a grid of short vectors (the default)
+ *   - "lines": continuous field lines, like an electric field diagram
+ *   - "flow": particles carried along the field with fading trails,
+ *     collecting at sinks (− charges and the cursor).
+ * - Field models, chosen per page with <body data-vector-field-model="...">:
+ *   the classic falloff (default), Coulomb 1/r², a magnetic wire (curl
+ *   field), gravitational wells, and a vortex sink - or a field written as
+ *   vx(x, y, t) and vy(x, y, t) expressions in config.js (vectorFieldModels),
+ *   compiled by FieldExpression without eval
+ * - Page content as sources: elements with data-field-charge="+2" attract
+ *   or repel (optionally only while hovered, data-field-active="hover"),
+ *   and data-field-charge="obstacle" makes the field bend around them
+ * - Pointer Events: the mouse and every finger on a touch screen are
+ *   sources of their own
+ * - Ambient mode: after a few seconds without input, a pair of charges
+ *   fades in and orbits the screen until the next pointer move
+ * - prefers-reduced-motion: a static render of the placed charges and the
+ *   ambient pair held still, redrawn only when something changes
+ * - Presets: vectorFieldPresets in config.js name whole configurations
+ *   (grid size, arrow length, color falloff, opacity, mode, model, ambient
+ *   charges, or no field at all); a page picks one with
+ *   <body data-vector-field="name key=value ...">, checked by
+ *   VectorField.resolveConfig() with console warnings for bad values
+ * - Export and share: toPNG() and toSVG() snapshot the current frame (the
+ *   SVG is drawn through SVGPathContext from the same vectors as the
+ *   canvas), and getShareURL() encodes the scene in a link that
+ *   readShareURL() restores; vector-field-share.js adds the menu for them
+ *
+ * Rendering is split in two. VectorFieldRenderer does the math and the
+ * drawing and never touches the DOM, so it can run in a Web Worker on an
+ * OffscreenCanvas (vector-field-worker.js) where the browser supports it.
+ * VectorField owns the page side - events, charges, and the frame loop - and
+ * only asks for a frame when something changed (or every frame in flow
+ * mode). Strokes are batched by color, the canvas is sized for the screen's
+ * pixel ratio, and the loop stops while the tab is hidden.
+ *
+ * Add ?vector-field-bench to a page's URL to run the frame-time benchmark
+ * (vector-field-bench.js).
+ *
  * @fileoverview Interactive vector field background for nmokey.com
  */
 
 /**
- * VectorField Class
- * 
- * Manages the canvas-based vector field visualization.
- * Uses inverse square law for field strength calculation.
- * 
+ * URL of this script, used to find the worker and benchmark next to it
+ * (empty inside the worker, which loads this file with importScripts)
+ * @type {string}
+ */
+const VECTOR_FIELD_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+
+/**
+ * VectorFieldRenderer Class
+ *
+ * Computes the field and draws one frame at a time onto a 2D canvas - an
+ * on-page <canvas> or an OffscreenCanvas in a worker. Works in CSS pixels;
+ * the canvas backing store is scaled by the pixel ratio for crisp lines.
+ * Uses inverse square law for field strength calculation, summed over
+ * every source (the cursor and any placed charges).
+ *
  * @class
  */
-class VectorField {
+class VectorFieldRenderer {
   /**
-   * Creates a new VectorField instance
-   * 
-   * @param {string} canvasId - ID of the canvas element to use
+   * Creates a new VectorFieldRenderer
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to draw on
+   * @param {Object} [options] - Options
+   * @param {string} [options.mode='arrows'] - Rendering mode: "arrows", "lines", or "flow"
+   * @param {number} [options.gridSize=40] - Spacing between arrows (pixels)
+   * @param {number} [options.lineLength=25] - Length of each arrow (pixels)
+   * @param {number} [options.colorFalloff=300] - Distance at which the color reaches the far end of the ramp (pixels)
+   * @param {number} [options.chargeRadius=9] - Drawn radius of placed charges (pixels)
+   * @param {?string} [options.model='classic'] - Key of VectorFieldRenderer.MODELS for the sources, or null to ignore them
+   * @param {Object} [options.expression] - Expression field: { vx, vy } strings for FieldExpression, and a scale
    */
-  constructor(canvasId) {
-    this.canvas = document.getElementById(canvasId);
-    if (!this.canvas) return;
-    
-    this.ctx = this.canvas.getContext('2d');
-    this.mouse = { x: 0, y: 0 };
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.mode = options.mode || 'arrows';
+    this.model = VectorFieldRenderer.MODELS.classic; // Field model for the sources, or null
+    this.expression = null; // Compiled expression field: { vx, vy, scale }
+    this.expressionScope = { x: 0, y: 0, t: 0, r: 0, theta: 0 }; // Reused for every evaluation
+    this.time = 0; // Seconds, for expressions that use t
+    this.width = 0; // Canvas size in CSS pixels
+    this.height = 0;
+    this.pixelRatio = 1; // Backing store pixels per CSS pixel
     this.gridSize = 40; // Spacing between field lines (pixels)
     this.lineLength = 25; // Length of each vector arrow (pixels)
     this.particles = []; // Grid points for vector calculation
-    this.animationId = null; // Animation frame ID for cleanup
-    
-    this.init();
+    this.chargeRadius = options.chargeRadius || 9;
+    this.colorStep = 20; // Distances are rounded to this (pixels) so strokes share a color
+    this.colorFalloff = 300; // Distance at which the color reaches the far end of the ramp (pixels)
+    this.linesPerCharge = 12; // Field lines leaving each unit charge ("lines" mode)
+    this.lineCache = { key: '', lines: [] }; // Traced lines, reused until a source moves
+    this.flowParticles = []; // Advected particles ("flow" mode): { x, y, age, life }
+    this.flowAreaPerParticle = 2400; // Viewport pixels per particle at full density
+    this.flowDensity = 1; // 0.2-1, lowered when frames run slow
+    this.flowSpeed = 1.6; // Pixels per frame per unit of field strength
+    this.frameTime = 16; // Smoothed frame time (ms), drives flowDensity
+    this.lastFrame = 0;
+    this.sources = []; // Current frame's sources: placed charges plus the cursor
+    this.charges = []; // Current frame's placed charges, drawn as + and − signs
+    this.obstacles = []; // Current frame's obstacle boxes: { left, top, right, bottom }
+    this.obstacleReach = 40; // How far from an obstacle the field starts to turn (pixels)
+    this.ramp = VectorFieldRenderer.DEFAULT_RAMP;
+
+    this.configure(options);
   }
 
   /**
-   * Initializes the vector field
-   * Sets up canvas, particles, events, and starts animation
-   * 
+   * Applies settings that can change while running
+   * Only the options given are changed
+   *
+   * @param {Object} options - Options
+   * @param {number} [options.gridSize] - Spacing between arrows (pixels)
+   * @param {number} [options.lineLength] - Length of each arrow (pixels)
+   * @param {number} [options.colorFalloff] - Distance at which the color reaches the far end of the ramp (pixels)
+   * @param {number} [options.chargeRadius] - Drawn radius of placed charges (pixels)
+   * @param {?string} [options.model] - Key of VectorFieldRenderer.MODELS for the sources, or null to ignore them
+   * @param {?Object} [options.expression] - Expression field: { vx, vy } strings for FieldExpression, and a scale
    * @returns {void}
    */
-  init() {
-    this.resize();
+  configure(options) {
+    if (options.gridSize) this.gridSize = options.gridSize;
+    if (options.lineLength) this.lineLength = options.lineLength;
+    if (options.colorFalloff) this.colorFalloff = options.colorFalloff;
+    if (options.chargeRadius) this.chargeRadius = options.chargeRadius;
+    if (options.model !== undefined) {
+      this.model = options.model === null ? null : VectorFieldRenderer.MODELS[options.model] || VectorFieldRenderer.MODELS.classic;
+    }
+    if (options.expression !== undefined) {
+      this.expression = options.expression ? {
+        vx: new FieldExpression(options.expression.vx),
+        vy: new FieldExpression(options.expression.vy),
+        scale: options.expression.scale || 1
+      } : null;
+    }
+
+    this.lineCache.key = '';
     this.createParticles();
-    this.bindEvents();
-    this.animate();
   }
 
   /**
-   * Resizes the canvas to match window dimensions
-   * Recreates particles grid after resize
-   * 
+   * Resizes the canvas backing store and recreates the particle grid
+   *
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   * @param {number} [pixelRatio=1] - Device pixels per CSS pixel
    * @returns {void}
    */
-  resize() {
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
+  resize(width, height, pixelRatio = 1) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+
+    // Resizing resets the context, so the scale is set again afterwards
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+    this.lineCache.key = '';
     this.createParticles();
   }
 
   /**
    * Creates a grid of particles for vector calculation
    * Particles are evenly spaced based on gridSize
-   * 
+   *
    * @returns {void}
    */
   createParticles() {
     this.particles = [];
-    const cols = Math.ceil(this.canvas.width / this.gridSize) + 1;
-    const rows = Math.ceil(this.canvas.height / this.gridSize) + 1;
+    const cols = Math.ceil(this.width / this.gridSize) + 1;
+    const rows = Math.ceil(this.height / this.gridSize) + 1;
 
     for (let x = 0; x < cols; x++) {
       for (let y = 0; y < rows; y++) {
@@ -91,127 +203,702 @@ class VectorField {
   }
 
   /**
-   * Binds event listeners for mouse tracking and window resize
-   * 
+   * Draws one frame
+   *
+   * @param {Object} frame - Frame state from VectorField.getFrame()
+   * @param {string} [frame.mode] - Rendering mode, if it changed
+   * @param {number} [frame.time] - Time in seconds, for expression fields
+   * @param {Array<Object>} frame.sources - Every source: { x, y, charge }
+   * @param {Array<Object>} frame.charges - Placed charges to draw
+   * @param {Array<Object>} [frame.obstacles] - Boxes the field flows around
+   * @param {Object} frame.ramp - Color ramp: { near, far, opacity }
    * @returns {void}
    */
-  bindEvents() {
-    window.addEventListener('resize', () => {
-      this.resize();
-    });
-
-    window.addEventListener('mousemove', (e) => {
-      this.mouse.x = e.clientX;
-      this.mouse.y = e.clientY;
-    });
+  render(frame) {
+    if (frame.mode && frame.mode !== this.mode) {
+      this.setMode(frame.mode);
+    }
+    this.sources = frame.sources;
+    this.charges = frame.charges;
+    this.obstacles = frame.obstacles || [];
+    this.ramp = frame.ramp || VectorFieldRenderer.DEFAULT_RAMP;
+    this.time = frame.time || 0;
+    this.draw();
+  }
 
-    // Handle mouse leaving window (hide field)
-    window.addEventListener('mouseleave', () => {
-      this.mouse.x = -1000;
-      this.mouse.y = -1000;
-    });
+  /**
+   * Switches the rendering mode, starting the new one from a clear canvas
+   *
+   * @param {string} mode - "arrows", "lines", or "flow"
+   * @returns {void}
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.lineCache.key = '';
+    this.flowParticles = [];
+    this.lastFrame = 0;
+    this.ctx.clearRect(0, 0, this.width, this.height);
   }
 
   /**
    * Calculates field strength and direction at a point
-   * Uses inverse square law (like electric/magnetic fields)
-   * 
+   * Sums every source's contribution under the field model (superposition),
+   * plus the expression field if there is one, and clamps the strength.
+   * In the classic model positive charges push the field away, negative
+   * charges (and the pointers) pull it in.
+   *
    * @param {number} x - X coordinate of the point
    * @param {number} y - Y coordinate of the point
-   * @returns {Object} Object with vx, vy (direction), strength, and distance
-   */
-  calculateField(x, y) {
-    const dx = this.mouse.x - x;
-    const dy = this.mouse.y - y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    // Avoid division by zero
-    if (distance < 5) {
-      return { vx: 0, vy: 0, strength: 0 };
-    }
-
-    // Inverse square law for field strength (like electric field)
-    const strength = 1 / (distance * 0.01 + 0.1);
-    const normalizedStrength = Math.min(strength, 2);
-    
+   * @param {Array<Object>} [sources] - Sources (defaults to the current frame's)
+   * @returns {Object} Object with vx, vy (direction), strength, and the distance used for its color
+   */
+  calculateField(x, y, sources = this.sources) {
+    // Avoid division by zero: sources closer than 5px are skipped
+    const { fx, fy, nearest } = this.rawField(x, y, sources, 5);
+
+    const magnitude = Math.sqrt(fx * fx + fy * fy);
+    if (!(magnitude > 0)) {
+      return { vx: 0, vy: 0, strength: 0, distance: nearest };
+    }
+
+    const normalizedStrength = Math.min(magnitude, 2);
+
     // Normalize direction
-    const vx = (dx / distance) * normalizedStrength;
-    const vy = (dy / distance) * normalizedStrength;
+    const vx = (fx / magnitude) * normalizedStrength;
+    const vy = (fy / magnitude) * normalizedStrength;
+
+    return { vx, vy, strength: normalizedStrength, distance: this.colorDistance(nearest, magnitude) };
+  }
 
-    return { vx, vy, strength: normalizedStrength, distance };
+  /**
+   * Distance that decides a point's color
+   * Normally the distance to the nearest source; an expression field has
+   * no sources of its own, so there stronger field counts as nearer
+   *
+   * @param {number} nearest - Distance to the nearest source (pixels)
+   * @param {number} magnitude - Field magnitude at the point
+   * @returns {number} Distance for getColor()
+   */
+  colorDistance(nearest, magnitude) {
+    if (!this.expression) return nearest;
+    return Math.min(nearest, (1 - Math.min(magnitude, 2) / 2) * this.colorFalloff);
   }
 
   /**
    * Gets color based on distance from cursor
-   * Returns theme-aware color gradient (close = bright, far = faded)
-   * 
+   * Returns theme-aware color gradient (close = bright, far = faded) using
+   * the current frame's color ramp (the theme's vectorField colors from
+   * themeConfig in config.js)
+   *
    * @param {number} distance - Distance from cursor in pixels
    * @returns {string} RGBA color string
    */
   getColor(distance) {
-    const maxDistance = 300;
-    const normalizedDistance = Math.min(distance / maxDistance, 1);
-    
-    // Check if dark mode
-    const isDark = !document.documentElement.hasAttribute('data-theme') || 
-                   document.documentElement.getAttribute('data-theme') === 'dark';
-    
-    if (isDark) {
-      // Dark mode colors: cyan (close) -> blue (medium) -> purple (far)
-      const r = Math.floor(96 - normalizedDistance * 30);   // 96 -> 66
-      const g = Math.floor(165 + normalizedDistance * 20); // 165 -> 185
-      const b = Math.floor(250 - normalizedDistance * 40);   // 250 -> 210
-      const opacity = Math.max(0.2, 0.8 - normalizedDistance * 0.6);
-      return `rgba(${r}, ${g}, ${b}, ${opacity})`;
-    } else {
-      // Light mode colors: blue (close) -> purple (medium) -> gray (far)
-      const r = Math.floor(37 + normalizedDistance * 20);  // 37 -> 57
-      const g = Math.floor(99 + normalizedDistance * 40);   // 99 -> 139
-      const b = Math.floor(235 - normalizedDistance * 50); // 235 -> 185
-      const opacity = Math.max(0.15, 0.7 - normalizedDistance * 0.55);
-      return `rgba(${r}, ${g}, ${b}, ${opacity})`;
-    }
+    const normalizedDistance = Math.min(distance / this.colorFalloff, 1);
+    const { near, far, opacity } = this.ramp;
+
+    // Blend from the near color to the far color
+    const mix = (from, to) => from + (to - from) * normalizedDistance;
+    const r = Math.floor(mix(near[0], far[0]));
+    const g = Math.floor(mix(near[1], far[1]));
+    const b = Math.floor(mix(near[2], far[2]));
+    const alpha = mix(opacity[0], opacity[1]);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  }
+
+  /**
+   * Rounds a distance to a color bucket
+   * Distances past the end of the ramp (colorFalloff) all share the last bucket
+   *
+   * @param {number} distance - Distance to the nearest source (pixels)
+   * @returns {number} Rounded distance
+   */
+  colorBucket(distance) {
+    return Math.round(Math.min(distance, this.colorFalloff) / this.colorStep) * this.colorStep;
   }
 
   /**
-   * Draws all vectors on the canvas
-   * Clears canvas completely each frame for instant response (no persistence)
-   * 
+   * Clears the canvas and draws the current mode
+   * Clears completely each frame for instant response (no persistence),
+   * except in flow mode, which fades the previous frame instead
+   *
    * @returns {void}
    */
   draw() {
+    if (this.mode === 'flow') {
+      this.drawFlow();
+      return;
+    }
+
     // Clear completely each frame - no persistence (like magnetic field)
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.clearRect(0, 0, this.width, this.height);
+
+    if (this.mode === 'lines') {
+      this.drawFieldLines();
+    } else {
+      this.drawArrows();
+    }
+    this.drawCharges();
+  }
+
+  /**
+   * Computes the arrow at every grid point ("arrows" mode)
+   * Points where the field is negligible get no arrow
+   *
+   * @returns {Array<Object>} Arrows: { x1, y1, x2, y2, strength, distance }
+   */
+  computeArrows() {
+    const arrows = [];
 
     this.particles.forEach(particle => {
       const field = this.calculateField(particle.x, particle.y);
-      
+
       if (field.strength < 0.01) {
         return; // Skip very weak fields
       }
 
-      // Calculate end point of vector
-      const endX = particle.x + field.vx * this.lineLength;
-      const endY = particle.y + field.vy * this.lineLength;
-
-      // Get color based on distance
-      const color = this.getColor(field.distance);
-      
-      // Draw arrow/line
-      this.drawVector(
-        particle.x,
-        particle.y,
-        endX,
-        endY,
-        color,
-        field.strength
-      );
+      arrows.push({
+        x1: particle.x,
+        y1: particle.y,
+        x2: particle.x + field.vx * this.lineLength,
+        y2: particle.y + field.vy * this.lineLength,
+        strength: field.strength,
+        distance: field.distance
+      });
+    });
+
+    return arrows;
+  }
+
+  /**
+   * Draws the grid of arrows ("arrows" mode)
+   * Arrows are grouped by color bucket and line width, so each group is a
+   * single path and a single stroke - a few dozen strokes a frame instead
+   * of one per grid point. Geometry matches drawVector().
+   *
+   * @returns {void}
+   */
+  drawArrows() {
+    const groups = new Map();
+
+    this.computeArrows().forEach(arrow => {
+      // Line widths are rounded to 0.2px, too fine to see
+      const lineWidth = Math.round(Math.max(0.8, arrow.strength * 1.2) * 5) / 5;
+      const key = `${this.colorBucket(arrow.distance)}|${lineWidth}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(arrow);
+    });
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    groups.forEach((arrows, key) => {
+      const [distance, lineWidth] = key.split('|').map(Number);
+      ctx.strokeStyle = this.getColor(distance);
+      ctx.lineWidth = lineWidth;
+      ctx.beginPath();
+
+      arrows.forEach(({ x1, y1, x2, y2, strength }) => {
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+
+        // Arrowhead only if strength is significant
+        if (strength > 0.3) {
+          const angle = Math.atan2(y2 - y1, x2 - x1);
+          const arrowLength = Math.max(3, strength * 2.5);
+          ctx.moveTo(x2, y2);
+          ctx.lineTo(x2 - arrowLength * Math.cos(angle - Math.PI / 6), y2 - arrowLength * Math.sin(angle - Math.PI / 6));
+          ctx.moveTo(x2, y2);
+          ctx.lineTo(x2 - arrowLength * Math.cos(angle + Math.PI / 6), y2 - arrowLength * Math.sin(angle + Math.PI / 6));
+        }
+      });
+
+      ctx.stroke();
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Sums the raw (unclamped) field at a point
+   * Each source adds the model's radial part (away from the source) and
+   * tangential part (clockwise on screen, for a positive charge); an
+   * expression field is evaluated in its own coordinates (see
+   * expressionScope) and added on top. Obstacles come last: there is no
+   * field inside one, and near its edge the part of the field pointing into
+   * it fades out, so the field slides around the box. Field lines use this
+   * directly, as they only need the direction.
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Array<Object>} sources - Sources
+   * @param {number} [minDistance=1] - Sources closer than this are skipped
+   * @returns {{fx: number, fy: number, nearest: number, nearestIndex: number}} Field and nearest source
+   */
+  rawField(x, y, sources, minDistance = 1) {
+    const model = this.model;
+    let fx = 0;
+    let fy = 0;
+    let nearest = Infinity;
+    let nearestIndex = -1;
+
+    for (let i = 0; i < sources.length; i++) {
+      const source = sources[i];
+      const dx = x - source.x;
+      const dy = y - source.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance < nearest) {
+        nearest = distance;
+        nearestIndex = i;
+      }
+      if (distance < minDistance || !model) continue;
+
+      const ux = dx / distance;
+      const uy = dy / distance;
+      const radial = model.radial ? model.radial(distance, source.charge) : 0;
+      const tangential = model.tangential ? model.tangential(distance, source.charge) : 0;
+      fx += ux * radial - uy * tangential;
+      fy += uy * radial + ux * tangential;
+    }
+
+    if (this.expression) {
+      const scope = this.expressionScope;
+      const scale = Math.min(this.width, this.height) / 2 || 1;
+      scope.x = (x - this.width / 2) / scale;
+      scope.y = (this.height / 2 - y) / scale;
+      scope.t = this.time;
+      scope.r = Math.sqrt(scope.x * scope.x + scope.y * scope.y);
+      scope.theta = Math.atan2(scope.y, scope.x);
+
+      // The expression's y axis points up; the canvas's points down
+      const vx = this.expression.vx.evaluate(scope);
+      const vy = this.expression.vy.evaluate(scope);
+      if (Number.isFinite(vx)) fx += vx * this.expression.scale;
+      if (Number.isFinite(vy)) fy -= vy * this.expression.scale;
+    }
+
+    for (let i = 0; i < this.obstacles.length; i++) {
+      const box = this.obstacles[i];
+      // Offset from the nearest point of the box
+      const ox = x - Math.min(Math.max(x, box.left), box.right);
+      const oy = y - Math.min(Math.max(y, box.top), box.bottom);
+      const gap = Math.sqrt(ox * ox + oy * oy);
+      if (gap === 0) {
+        return { fx: 0, fy: 0, nearest, nearestIndex };
+      }
+      if (gap < this.obstacleReach) {
+        const into = (fx * ox + fy * oy) / gap;
+        if (into < 0) {
+          const weight = 1 - gap / this.obstacleReach;
+          fx -= ((into * ox) / gap) * weight;
+          fy -= ((into * oy) / gap) * weight;
+        }
+      }
+    }
+
+    return { fx, fy, nearest, nearestIndex };
+  }
+
+  /**
+   * Traces one field line with fourth-order Runge-Kutta steps
+   * Steps are small near sources (where the field bends sharply) and grow
+   * with distance. The line ends at another source, off screen, where the
+   * field vanishes, when it closes into a loop (curl fields), or after a
+   * step budget.
+   *
+   * @param {number} x - Start X (just outside the origin source, or any point)
+   * @param {number} y - Start Y
+   * @param {number} direction - +1 to follow the field, -1 to trace it backwards
+   * @param {Array<Object>} sources - Sources
+   * @param {number} origin - Index of the source the line starts at (-1 for none)
+   * @param {number} [maxSteps=300] - Step budget
+   * @returns {{points: number[], distances: number[], end: ?Object}} Flat [x, y, ...] points, color distance per point, and the source it ended at
+   */
+  traceFieldLine(x, y, direction, sources, origin, maxSteps = 300) {
+    const margin = 40;
+    const captureRadius = this.chargeRadius;
+    const startX = x;
+    const startY = y;
+    const points = [x, y];
+    const distances = [];
+
+    // Unit field direction at a point, or null where the field vanishes
+    const unit = (px, py) => {
+      const { fx, fy } = this.rawField(px, py, sources);
+      const magnitude = Math.sqrt(fx * fx + fy * fy);
+      return !(magnitude >= 1e-9) ? null : [fx / magnitude, fy / magnitude];
+    };
+
+    for (let step = 0; step < maxSteps; step++) {
+      const here = this.rawField(x, y, sources);
+      distances.push(this.colorDistance(here.nearest, Math.sqrt(here.fx * here.fx + here.fy * here.fy)));
+      if (here.nearest < captureRadius && (here.nearestIndex !== origin || step > 8)) {
+        return { points, distances, end: sources[here.nearestIndex] };
+      }
+
+      const h = direction * Math.min(Math.max(here.nearest * 0.25, 2), 24);
+      const k1 = unit(x, y);
+      if (!k1) break;
+      const k2 = unit(x + (h / 2) * k1[0], y + (h / 2) * k1[1]);
+      if (!k2) break;
+      const k3 = unit(x + (h / 2) * k2[0], y + (h / 2) * k2[1]);
+      if (!k3) break;
+      const k4 = unit(x + h * k3[0], y + h * k3[1]);
+      if (!k4) break;
+
+      x += (h / 6) * (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]);
+      y += (h / 6) * (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1]);
+      points.push(x, y);
+
+      if (x < -margin || y < -margin || x > this.width + margin || y > this.height + margin) {
+        break;
+      }
+
+      // Back where it started: a closed loop, like the circles around a wire
+      if (step > 8 && Math.hypot(x - startX, y - startY) < Math.abs(h)) {
+        points.push(startX, startY);
+        break;
+      }
+    }
+
+    // One distance per point
+    while (distances.length < points.length / 2) {
+      distances.push(distances[distances.length - 1]);
+    }
+    return { points, distances, end: null };
+  }
+
+  /**
+   * Traces the field lines for the current sources
+   * Models with a radial part seed lines at the sources; curl fields (whose
+   * lines never start or end at a source) and expression fields seed them
+   * on a coarse grid instead.
+   *
+   * @returns {Array<Object>} Lines from traceFieldLine(), with their direction
+   */
+  computeFieldLines() {
+    const fromSources = this.model && this.model.radial && !this.expression;
+    return fromSources ? this.computeSourceLines() : this.computeGridLines();
+  }
+
+  /**
+   * Traces field lines out of (or into) each source
+   * Each source sends out lines in proportion to its charge, so line density
+   * follows field strength. Lines start at sources the field points away
+   * from; the others (− charges and the pointers, or every gravity well)
+   * only add the lines that don't already arrive from one of those.
+   *
+   * @returns {Array<Object>} Lines from traceFieldLine(), with their direction
+   */
+  computeSourceLines() {
+    const sources = this.sources;
+    const lines = [];
+    const startRadius = this.chargeRadius;
+    const outward = (source) => this.model.radial(startRadius, source.charge) > 0;
+
+    sources.forEach((source, index) => {
+      if (!source.charge) return;
+
+      const direction = outward(source) ? 1 : -1;
+      const count = Math.max(1, Math.round(Math.abs(source.charge) * this.linesPerCharge));
+      for (let i = 0; i < count; i++) {
+        const angle = ((i + 0.5) / count) * Math.PI * 2;
+        const line = this.traceFieldLine(
+          source.x + Math.cos(angle) * startRadius,
+          source.y + Math.sin(angle) * startRadius,
+          direction,
+          sources,
+          index
+        );
+
+        // Lines into a sink that came from a source are already drawn
+        if (direction < 0 && line.end && outward(line.end)) continue;
+        if (line.points.length >= 4) {
+          line.direction = direction;
+          lines.push(line);
+        }
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * Traces field lines through points on a grid three arrows apart, both
+   * forwards and backwards from each point
+   *
+   * @returns {Array<Object>} Lines from traceFieldLine(), in field direction
+   */
+  computeGridLines() {
+    const sources = this.sources;
+    const spacing = this.gridSize * 3;
+    const lines = [];
+
+    for (let x = spacing / 2; x < this.width; x += spacing) {
+      for (let y = spacing / 2; y < this.height; y += spacing) {
+        const forward = this.traceFieldLine(x, y, 1, sources, -1, 80);
+        const backward = this.traceFieldLine(x, y, -1, sources, -1, 80);
+
+        // Join them into one line running along the field
+        const points = [];
+        for (let i = backward.points.length - 2; i > 0; i -= 2) {
+          points.push(backward.points[i], backward.points[i + 1]);
+        }
+        points.push(...forward.points);
+        const distances = [...backward.distances.slice(1).reverse(), ...forward.distances];
+
+        if (points.length >= 4) {
+          lines.push({ points, distances, end: forward.end, direction: 1 });
+        }
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Draws continuous field lines ("lines" mode)
+   * Lines are re-traced only when a source or obstacle moves, a charge
+   * changes, the canvas resizes, or a time-dependent expression moves on; otherwise the last traced lines are redrawn as-is.
+   * Like the arrows, line pieces are grouped by color bucket and stroked
+   * once per bucket.
+   *
+   * @returns {void}
+   */
+  drawFieldLines() {
+    // A time-dependent expression is re-traced ten times a second, not every frame
+    const moving = this.expression && (this.expression.vx.usesTime || this.expression.vy.usesTime);
+    const key = [
+      ...this.sources.map(source => `${Math.round(source.x)},${Math.round(source.y)},${source.charge}`),
+      ...this.obstacles.map(box => `[${Math.round(box.left)},${Math.round(box.top)},${Math.round(box.right)},${Math.round(box.bottom)}]`)
+    ].join(';') + (moving ? `@${Math.floor(this.time * 10)}` : '');
+    if (key !== this.lineCache.key) {
+      this.lineCache = { key, lines: this.computeFieldLines() };
+    }
+
+    // Path pieces per color bucket: [x, y, x, y, ...] polylines
+    const groups = new Map();
+    const add = (distance, polyline) => {
+      const bucket = this.colorBucket(distance);
+      if (!groups.has(bucket)) groups.set(bucket, []);
+      groups.get(bucket).push(polyline);
+    };
+
+    this.lineCache.lines.forEach(({ points, distances, direction }) => {
+      // Color changes along the line with distance, in short runs
+      const run = 6;
+      for (let start = 0; start < distances.length - 1; start += run) {
+        const end = Math.min(start + run, distances.length - 1);
+        add(distances[Math.floor((start + end) / 2)], points.slice(start * 2, end * 2 + 2));
+      }
+
+      // One arrowhead midway, pointing along the field
+      const mid = Math.floor(distances.length / 2);
+      if (mid > 0 && mid < distances.length - 1) {
+        const x = points[mid * 2];
+        const y = points[mid * 2 + 1];
+        const angle = Math.atan2(points[mid * 2 + 3] - points[mid * 2 - 1], points[mid * 2 + 2] - points[mid * 2 - 2]) + (direction < 0 ? Math.PI : 0);
+        const size = 5;
+        add(distances[mid], [
+          x - size * Math.cos(angle - Math.PI / 6), y - size * Math.sin(angle - Math.PI / 6),
+          x, y,
+          x - size * Math.cos(angle + Math.PI / 6), y - size * Math.sin(angle + Math.PI / 6)
+        ]);
+      }
+    });
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    groups.forEach((polylines, distance) => {
+      ctx.strokeStyle = this.getColor(distance);
+      ctx.lineWidth = Math.max(0.8, Math.min(2, 120 / (distance + 40)));
+      ctx.beginPath();
+      polylines.forEach(polyline => {
+        ctx.moveTo(polyline[0], polyline[1]);
+        for (let i = 2; i < polyline.length; i += 2) {
+          ctx.lineTo(polyline[i], polyline[i + 1]);
+        }
+      });
+      ctx.stroke();
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Number of flow particles for the viewport area and current density
+   *
+   * @returns {number} Target particle count
+   */
+  flowParticleCount() {
+    const area = this.width * this.height;
+    return Math.round(Math.min(Math.max(area / this.flowAreaPerParticle, 80), 1600) * this.flowDensity);
+  }
+
+  /**
+   * Places a flow particle at a random spot with a fresh lifetime
+   *
+   * @param {Object} [particle] - Particle to reuse
+   * @returns {Object} The particle
+   */
+  spawnFlowParticle(particle = {}) {
+    // A few tries to land outside the obstacles, where the field is still
+    for (let attempt = 0; attempt < 5; attempt++) {
+      particle.x = Math.random() * this.width;
+      particle.y = Math.random() * this.height;
+      if (!this.insideObstacle(particle.x, particle.y)) break;
+    }
+    particle.age = 0;
+    particle.life = 200 + Math.random() * 400; // Frames, staggered so respawns don't pulse
+    return particle;
+  }
+
+  /**
+   * Checks whether a point is inside an obstacle
+   *
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if inside
+   */
+  insideObstacle(x, y) {
+    return this.obstacles.some(box => x >= box.left && x <= box.right && y >= box.top && y <= box.bottom);
+  }
+
+  /**
+   * Adapts the particle count to the frame time
+   * Sheds particles while frames take longer than ~20ms and adds them back
+   * slowly once there is headroom
+   *
+   * @returns {void}
+   */
+  adaptFlowDensity() {
+    const now = performance.now();
+    if (this.lastFrame) {
+      // Ignore long gaps (background tab, debugger) rather than over-correcting
+      const elapsed = Math.min(now - this.lastFrame, 100);
+      this.frameTime = this.frameTime * 0.9 + elapsed * 0.1;
+    }
+    this.lastFrame = now;
+
+    if (this.frameTime > 20) {
+      this.flowDensity = Math.max(0.2, this.flowDensity * 0.97);
+    } else if (this.frameTime < 15) {
+      this.flowDensity = Math.min(1, this.flowDensity * 1.01);
+    }
+
+    const target = this.flowParticleCount();
+    while (this.flowParticles.length < target) {
+      this.flowParticles.push(this.spawnFlowParticle());
+    }
+    this.flowParticles.length = Math.min(this.flowParticles.length, target);
+  }
+
+  /**
+   * Advects particles through the field and draws their trails ("flow" mode)
+   * Instead of clearing, each frame fades what is already on the canvas, so
+   * every particle leaves a trail. Particles that leave the viewport or
+   * reach the end of their lifetime respawn at random; near a sink the
+   * field stops them, so they gather there until they respawn.
+   *
+   * @returns {void}
+   */
+  drawFlow() {
+    const ctx = this.ctx;
+    this.adaptFlowDensity();
+
+    // Fade the existing trails toward transparent
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.fillRect(0, 0, this.width, this.height);
+    ctx.restore();
+
+    // Group segments by color so each color is one stroke
+    const buckets = new Map();
+    const sources = this.sources;
+    const width = this.width;
+    const height = this.height;
+
+    this.flowParticles.forEach(particle => {
+      const field = this.calculateField(particle.x, particle.y, sources);
+      const x = particle.x + field.vx * this.flowSpeed;
+      const y = particle.y + field.vy * this.flowSpeed;
+
+      const distance = this.colorBucket(field.distance);
+      if (!buckets.has(distance)) buckets.set(distance, []);
+      buckets.get(distance).push(particle.x, particle.y, x, y);
+
+      particle.x = x;
+      particle.y = y;
+      particle.age++;
+      if (particle.age > particle.life || x < 0 || y < 0 || x > width || y > height) {
+        this.spawnFlowParticle(particle);
+      }
+    });
+
+    ctx.save();
+    ctx.lineWidth = 1.2;
+    ctx.lineCap = 'round';
+    buckets.forEach((segments, distance) => {
+      ctx.strokeStyle = this.getColor(distance);
+      ctx.beginPath();
+      for (let i = 0; i < segments.length; i += 4) {
+        ctx.moveTo(segments[i], segments[i + 1]);
+        // Particles held still at a sink still get a dot
+        ctx.lineTo(segments[i + 2] + (segments[i + 2] === segments[i] ? 0.5 : 0), segments[i + 3]);
+      }
+      ctx.stroke();
+    });
+    ctx.restore();
+
+    // Charges fade with the trails otherwise; clear their spot and redraw
+    this.charges.forEach(({ x, y }) => {
+      ctx.clearRect(x - this.chargeRadius - 2, y - this.chargeRadius - 2, this.chargeRadius * 2 + 4, this.chargeRadius * 2 + 4);
+    });
+    this.drawCharges();
+  }
+
+  /**
+   * Draws the placed charges as circled + and − signs, in one stroke
+   *
+   * @returns {void}
+   */
+  drawCharges() {
+    if (!this.charges.length) return;
+
+    const ctx = this.ctx;
+    const r = this.chargeRadius;
+    ctx.save();
+    ctx.strokeStyle = this.getColor(0);
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+
+    this.charges.forEach(({ x, y, charge }) => {
+      ctx.moveTo(x + r, y);
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.moveTo(x - r / 2, y);
+      ctx.lineTo(x + r / 2, y);
+      if (charge > 0) {
+        ctx.moveTo(x, y - r / 2);
+        ctx.lineTo(x, y + r / 2);
+      }
     });
+
+    ctx.stroke();
+    ctx.restore();
   }
 
   /**
    * Draws a single vector arrow on the canvas
-   * 
+   * The unbatched form of drawArrows(): its own state, color, and stroke.
+   * The benchmark uses it as the baseline.
+   *
    * @param {number} x1 - Start X coordinate
    * @param {number} y1 - Start Y coordinate
    * @param {number} x2 - End X coordinate
@@ -222,14 +909,14 @@ class VectorField {
    */
   drawVector(x1, y1, x2, y2, color, strength) {
     this.ctx.save();
-    
+
     // Line style - thinner lines for subtlety
     const lineWidth = Math.max(0.8, strength * 1.2);
     this.ctx.strokeStyle = color;
     this.ctx.lineWidth = lineWidth;
     this.ctx.lineCap = 'round';
     this.ctx.lineJoin = 'round';
-    
+
     // Draw main line
     this.ctx.beginPath();
     this.ctx.moveTo(x1, y1);
@@ -240,7 +927,7 @@ class VectorField {
     if (strength > 0.3) {
       const angle = Math.atan2(y2 - y1, x2 - x1);
       const arrowLength = Math.max(3, strength * 2.5);
-      
+
       this.ctx.beginPath();
       this.ctx.moveTo(x2, y2);
       this.ctx.lineTo(
@@ -257,64 +944,1806 @@ class VectorField {
 
     this.ctx.restore();
   }
+}
+
+/**
+ * Built-in field models: how one source of charge q shapes the field at
+ * distance d (pixels). `radial` points away from the source, `tangential`
+ * turns clockwise on screen; either may be left out. Strengths are scaled
+ * so every model reads about 1 at 100px from a unit charge.
+ * @type {Object<string, {label: string, radial: ?Function, tangential: ?Function}>}
+ */
+VectorFieldRenderer.MODELS = {
+  // The original look: a soft falloff that reaches across the screen
+  classic: {
+    label: 'classic',
+    radial: (d, q) => q / (d * 0.01 + 0.1)
+  },
+  // Electric field of a point charge, 1/r², softened at the centre
+  coulomb: {
+    label: 'Coulomb 1/r²',
+    radial: (d, q) => (q * 10000) / (d * d + 100)
+  },
+  // Magnetic field around a wire carrying current out of the screen: circles, 1/r
+  wire: {
+    label: 'magnetic wire',
+    tangential: (d, q) => (q * 100) / (d + 10)
+  },
+  // Gravity of a mass |q| with a soft core (Plummer): always pulls, vanishes at the centre
+  gravity: {
+    label: 'gravitational well',
+    radial: (d, q) => (-Math.abs(q) * 10000 * d) / Math.pow(d * d + 400, 1.5)
+  },
+  // Point vortex draining into a sink: swirl 1/r (sign of q picks the spin) plus inflow 1/r
+  vortex: {
+    label: 'vortex sink',
+    radial: (d, q) => (-Math.abs(q) * 40) / (d + 10),
+    tangential: (d, q) => (q * 100) / (d + 10)
+  }
+};
+
+/**
+ * Colors used when no theme ramp is given (the dark theme's)
+ * @type {{near: number[], far: number[], opacity: number[]}}
+ */
+VectorFieldRenderer.DEFAULT_RAMP = { near: [96, 165, 250], far: [66, 185, 210], opacity: [0.8, 0.2] };
+
+/**
+ * SVGPathContext Class
+ *
+ * Stands in for a canvas 2D context and records strokes as SVG paths, so a
+ * VectorFieldRenderer can draw a frame as resolution-independent SVG with
+ * the same code (and the same vectors) it uses for the canvas. Covers what
+ * the arrows and lines modes use: paths of moveTo, lineTo, and arc, stroked
+ * with strokeStyle and lineWidth. Fills and compositing are ignored.
+ *
+ * @class
+ */
+class SVGPathContext {
+  /**
+   * Creates an empty recording
+   *
+   * @param {number} width - Width of the drawing (CSS pixels)
+   * @param {number} height - Height of the drawing (CSS pixels)
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.strokeStyle = '#000';
+    this.fillStyle = '#000';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.lineJoin = 'miter';
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = 'source-over';
+    this.paths = []; // Recorded strokes: { d, color, opacity, width }
+    this.path = [];
+    this.current = null; // Current point, or null before the first moveTo
+  }
+
+  save() {}
+
+  restore() {}
+
+  setTransform() {}
+
+  fillRect() {}
 
   /**
-   * Animation loop using requestAnimationFrame
-   * Continuously redraws the vector field
-   * 
+   * Clearing the whole canvas (the start of a frame) drops what was recorded
+   *
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
    * @returns {void}
    */
-  animate() {
-    this.draw();
-    this.animationId = requestAnimationFrame(() => this.animate());
+  clearRect(x, y, width, height) {
+    if (x <= 0 && y <= 0 && x + width >= this.width && y + height >= this.height) {
+      this.paths = [];
+    }
+  }
+
+  beginPath() {
+    this.path = [];
+    this.current = null;
+  }
+
+  moveTo(x, y) {
+    this.path.push(`M${SVGPathContext.format(x)} ${SVGPathContext.format(y)}`);
+    this.current = { x, y };
+  }
+
+  lineTo(x, y) {
+    this.path.push(`${this.current ? 'L' : 'M'}${SVGPathContext.format(x)} ${SVGPathContext.format(y)}`);
+    this.current = { x, y };
   }
 
   /**
-   * Cleans up the animation loop
-   * Should be called when the vector field is no longer needed
-   * 
+   * Adds a circular arc, clockwise on screen from startAngle to endAngle
+   * (a full turn becomes two half arcs, since one SVG arc can't close)
+   *
+   * @param {number} x - Centre x
+   * @param {number} y - Centre y
+   * @param {number} r - Radius
+   * @param {number} startAngle - Start angle (radians)
+   * @param {number} endAngle - End angle (radians)
    * @returns {void}
    */
-  destroy() {
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
+  arc(x, y, r, startAngle, endAngle) {
+    const f = SVGPathContext.format;
+    const at = (angle) => `${f(x + r * Math.cos(angle))} ${f(y + r * Math.sin(angle))}`;
+    const sweep = Math.min(endAngle - startAngle, Math.PI * 2);
+
+    const startX = x + r * Math.cos(startAngle);
+    const startY = y + r * Math.sin(startAngle);
+    if (!this.current || Math.abs(this.current.x - startX) > 0.01 || Math.abs(this.current.y - startY) > 0.01) {
+      this.lineTo(startX, startY);
+    }
+    if (sweep >= Math.PI * 2) {
+      this.path.push(`A${f(r)} ${f(r)} 0 0 1 ${at(startAngle + Math.PI)}`, `A${f(r)} ${f(r)} 0 0 1 ${at(startAngle)}`);
+    } else {
+      this.path.push(`A${f(r)} ${f(r)} 0 ${sweep > Math.PI ? 1 : 0} 1 ${at(endAngle)}`);
     }
+    this.current = { x: x + r * Math.cos(endAngle), y: y + r * Math.sin(endAngle) };
+  }
+
+  /**
+   * Records the current path with the current stroke style
+   * rgba() colors are split into a color and stroke-opacity, which more
+   * editors and slide tools understand
+   *
+   * @returns {void}
+   */
+  stroke() {
+    if (!this.path.length) return;
+
+    const rgba = /^rgba\((\d+),\s*(\d+),\s*(\d+),\s*([\d.]+)\)$/.exec(this.strokeStyle);
+    this.paths.push({
+      d: this.path.join(''),
+      color: rgba ? `rgb(${rgba[1]}, ${rgba[2]}, ${rgba[3]})` : this.strokeStyle,
+      opacity: (rgba ? Number(rgba[4]) : 1) * this.globalAlpha,
+      width: this.lineWidth
+    });
+  }
+
+  /**
+   * Serializes the recording as a standalone SVG document
+   *
+   * @param {Object} [options] - Options
+   * @param {string} [options.background] - Background color; none if left out
+   * @param {number} [options.opacity=1] - Opacity of the field over the background
+   * @returns {string} SVG markup
+   */
+  toSVG(options = {}) {
+    const f = SVGPathContext.format;
+    const { width, height } = this;
+    const opacity = options.opacity === undefined ? 1 : options.opacity;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${f(width)}" height="${f(height)}" viewBox="0 0 ${f(width)} ${f(height)}">`,
+      options.background ? `<rect width="100%" height="100%" fill="${options.background}"/>` : '',
+      `<g fill="none" stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${opacity < 1 ? ` opacity="${f(opacity)}"` : ''}>`,
+      ...this.paths.map(path => `<path d="${path.d}" stroke="${path.color}" stroke-opacity="${f(path.opacity)}" stroke-width="${f(path.width)}"/>`),
+      '</g>',
+      '</svg>'
+    ].filter(Boolean).join('\n');
   }
 }
 
 /**
- * Initializes the vector field when DOM is ready
- * Creates canvas element and sets up the VectorField instance
+ * Rounds a coordinate for SVG output (two decimals is well below a pixel)
+ *
+ * @param {number} value - Number
+ * @returns {string} Shortest form with at most two decimals
  */
-document.addEventListener('DOMContentLoaded', function() {
-  // Create canvas element
-  const canvas = document.createElement('canvas');
-  canvas.id = 'vector-field-canvas';
-  canvas.style.position = 'fixed';
-  canvas.style.top = '0';
-  canvas.style.left = '0';
-  canvas.style.width = '100%';
-  canvas.style.height = '100%';
-  canvas.style.pointerEvents = 'none';
-  canvas.style.zIndex = '0';
-  canvas.style.opacity = '0.6'; // Visible but subtle
-  
-  // Insert at the beginning of body
-  document.body.insertBefore(canvas, document.body.firstChild);
-
-  // Initialize vector field
-  const vectorField = new VectorField('vector-field-canvas');
-  
-  // Make content appear above the field
-  const mainContent = document.querySelector('main');
-  if (mainContent) {
-    mainContent.style.position = 'relative';
-    mainContent.style.zIndex = '1';
-  }
-  
-  const footer = document.querySelector('footer');
-  if (footer) {
-    footer.style.position = 'relative';
-    footer.style.zIndex = '1';
-  }
-});
+SVGPathContext.format = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * FieldExpression Class
+ *
+ * A small math language for defining a field in config: compiles a string
+ * such as "sin(t) * x - y^2" into a function without eval or Function, so
+ * only arithmetic, the variables, and the whitelisted functions and
+ * constants below can run.
+ *
+ * Grammar: numbers (1, 0.5, 2e-3), variables, + - * / % and ^ (or **,
+ * right-associative, binding tighter than unary minus: -x^2 is -(x^2)),
+ * parentheses, and function calls like atan2(y, x).
+ *
+ * @class
+ */
+class FieldExpression {
+  /**
+   * Compiles an expression
+   *
+   * @param {string} source - Expression text
+   * @param {string[]} [variables] - Allowed variable names (defaults to FieldExpression.VARIABLES)
+   * @throws {Error} If the expression is too long, nested too deep, or not valid
+   */
+  constructor(source, variables = FieldExpression.VARIABLES) {
+    this.source = String(source);
+    this.variables = variables;
+    this.usesTime = false; // True if it reads t, so it changes every frame
+    this.depth = 0;
+
+    if (this.source.length > FieldExpression.MAX_LENGTH) {
+      throw new Error(`expression is longer than ${FieldExpression.MAX_LENGTH} characters`);
+    }
+
+    this.tokens = this.tokenize(this.source);
+    this.index = 0;
+    const evaluate = this.parseSum();
+    if (this.index < this.tokens.length) {
+      throw this.unexpected();
+    }
+    this.evaluate = evaluate;
+  }
+
+  /**
+   * Splits the source into number, name, and operator tokens
+   *
+   * @param {string} source - Expression text
+   * @returns {Array<{type: string, value: string, position: number}>} Tokens
+   */
+  tokenize(source) {
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/%^(),]))/y;
+    const tokens = [];
+
+    while (pattern.lastIndex < source.length) {
+      const position = pattern.lastIndex;
+      const match = pattern.exec(source);
+      if (!match) {
+        if (!source.slice(position).trim()) break; // Trailing whitespace
+        throw new Error(`unexpected "${source[position + source.slice(position).search(/\S/)]}" in "${source}"`);
+      }
+      if (match[1] !== undefined) tokens.push({ type: 'number', value: match[1], position });
+      else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2], position });
+      else if (match[3] !== undefined) tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3], position });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Error for the token at the current position
+   *
+   * @returns {Error} Error naming the token (or the end of the expression)
+   */
+  unexpected() {
+    const token = this.tokens[this.index];
+    return new Error(token ? `unexpected "${token.value}" in "${this.source}"` : `"${this.source}" ends unexpectedly`);
+  }
+
+  /**
+   * Consumes the next token if it is the given operator
+   *
+   * @param {string} operator - Operator to look for
+   * @returns {boolean} True if it was consumed
+   */
+  accept(operator) {
+    const token = this.tokens[this.index];
+    if (token && token.type === 'operator' && token.value === operator) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Parses + and - (lowest precedence)
+   *
+   * @returns {Function} Compiled (scope) => number
+   */
+  parseSum() {
+    let left = this.parseProduct();
+    for (;;) {
+      if (this.accept('+')) {
+        const a = left, b = this.parseProduct();
+        left = (scope) => a(scope) + b(scope);
+      } else if (this.accept('-')) {
+        const a = left, b = this.parseProduct();
+        left = (scope) => a(scope) - b(scope);
+      } else {
+        return left;
+      }
+    }
+  }
+
+  /**
+   * Parses *, /, and %
+   *
+   * @returns {Function} Compiled (scope) => number
+   */
+  parseProduct() {
+    let left = this.parseUnary();
+    for (;;) {
+      if (this.accept('*')) {
+        const a = left, b = this.parseUnary();
+        left = (scope) => a(scope) * b(scope);
+      } else if (this.accept('/')) {
+        const a = left, b = this.parseUnary();
+        left = (scope) => a(scope) / b(scope);
+      } else if (this.accept('%')) {
+        const a = left, b = this.parseUnary();
+        left = (scope) => a(scope) % b(scope);
+      } else {
+        return left;
+      }
+    }
+  }
+
+  /**
+   * Parses unary + and -
+   *
+   * @returns {Function} Compiled (scope) => number
+   */
+  parseUnary() {
+    if (this.accept('-')) {
+      const a = this.parseUnary();
+      return (scope) => -a(scope);
+    }
+    if (this.accept('+')) {
+      return this.parseUnary();
+    }
+    return this.parsePower();
+  }
+
+  /**
+   * Parses ^ (right-associative; the exponent may carry its own sign)
+   *
+   * @returns {Function} Compiled (scope) => number
+   */
+  parsePower() {
+    const base = this.parseAtom();
+    if (!this.accept('^')) return base;
+    const exponent = this.parseUnary();
+    return (scope) => Math.pow(base(scope), exponent(scope));
+  }
+
+  /**
+   * Parses a number, a variable, a constant, a function call, or a
+   * parenthesized expression
+   *
+   * @returns {Function} Compiled (scope) => number
+   */
+  parseAtom() {
+    const token = this.tokens[this.index];
+    if (!token) throw this.unexpected();
+
+    if (token.type === 'number') {
+      this.index++;
+      const value = Number(token.value);
+      return () => value;
+    }
+
+    if (this.accept('(')) {
+      const inner = this.nested(() => this.parseSum());
+      if (!this.accept(')')) throw this.unexpected();
+      return inner;
+    }
+
+    if (token.type !== 'name') throw this.unexpected();
+    this.index++;
+    const name = token.value;
+    const own = (object) => Object.prototype.hasOwnProperty.call(object, name);
+
+    if (this.accept('(')) {
+      if (!own(FieldExpression.FUNCTIONS)) {
+        throw new Error(`unknown function "${name}" in "${this.source}" (expected one of ${Object.keys(FieldExpression.FUNCTIONS).join(', ')})`);
+      }
+      const args = [];
+      if (!this.accept(')')) {
+        do {
+          args.push(this.nested(() => this.parseSum()));
+        } while (this.accept(','));
+        if (!this.accept(')')) throw this.unexpected();
+      }
+      const fn = FieldExpression.FUNCTIONS[name];
+      const [a, b] = args;
+      if (args.length === 1) return (scope) => fn(a(scope));
+      if (args.length === 2) return (scope) => fn(a(scope), b(scope));
+      return (scope) => fn(...args.map(arg => arg(scope)));
+    }
+
+    if (this.variables.includes(name)) {
+      if (name === 't') this.usesTime = true;
+      return (scope) => scope[name];
+    }
+    if (own(FieldExpression.CONSTANTS)) {
+      const value = FieldExpression.CONSTANTS[name];
+      return () => value;
+    }
+    throw new Error(`unknown name "${name}" in "${this.source}" (variables: ${this.variables.join(', ')})`);
+  }
+
+  /**
+   * Runs a parse step one nesting level deeper, with a depth limit so a
+   * pathological expression can't overflow the stack
+   *
+   * @param {Function} parse - Parse step
+   * @returns {Function} Its compiled result
+   */
+  nested(parse) {
+    if (++this.depth > FieldExpression.MAX_DEPTH) {
+      throw new Error(`"${this.source}" is nested too deeply`);
+    }
+    const result = parse();
+    this.depth--;
+    return result;
+  }
+}
+
+/**
+ * Variables an expression can read: x and y (y up, the shorter screen side
+ * spans -1 to 1, 0 at the centre), t (seconds), and the polar r and theta
+ * @type {string[]}
+ */
+FieldExpression.VARIABLES = ['x', 'y', 't', 'r', 'theta'];
+
+/**
+ * Functions an expression can call
+ * @type {Object<string, Function>}
+ */
+FieldExpression.FUNCTIONS = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+  sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh, exp: Math.exp, log: Math.log, sqrt: Math.sqrt,
+  abs: Math.abs, sign: Math.sign, floor: Math.floor, ceil: Math.ceil, round: Math.round,
+  min: Math.min, max: Math.max, pow: Math.pow, hypot: Math.hypot
+};
+
+/**
+ * Named constants
+ * @type {Object<string, number>}
+ */
+FieldExpression.CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * Longest accepted expression (characters)
+ * @type {number}
+ */
+FieldExpression.MAX_LENGTH = 500;
+
+/**
+ * Deepest accepted nesting of parentheses and calls
+ * @type {number}
+ */
+FieldExpression.MAX_DEPTH = 32;
+
+/**
+ * FieldElements Class
+ *
+ * Tracks page elements that take part in the field:
+ *
+ *   <div data-field-charge="+2">          a source of charge +2 at its centre
+ *   <img data-field-charge="obstacle">    the field bends around its box
+ *   <a data-field-charge="-1" data-field-active="hover">  only while hovered or focused
+ *
+ * Boxes are measured in one batch, only after something reported a change:
+ * a ResizeObserver (the element or the page resized), a MutationObserver
+ * (elements added, removed, or re-attributed), or a window resize.
+ * Positions are kept relative to the document, so scrolling only updates
+ * the scroll offset - no element is measured while scrolling. An
+ * IntersectionObserver limits the field to elements on or near the screen.
+ *
+ * @class
+ */
+class FieldElements {
+  /**
+   * Creates a tracker and scans the page for marked elements
+   *
+   * @param {Function} onChange - Called when the sources or obstacles may have changed
+   */
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.entries = new Map(); // Element → { charge, obstacle, hover, fixed, active, visible, box, listeners }
+    this.stale = true; // Boxes need measuring before the next frame
+    this.scroll = { x: 0, y: 0 };
+    this.supported = typeof ResizeObserver === 'function' && typeof IntersectionObserver === 'function' && typeof MutationObserver === 'function';
+    if (!this.supported) return;
+
+    this.resizeObserver = new ResizeObserver(() => this.invalidate());
+    this.intersectionObserver = new IntersectionObserver((records) => {
+      records.forEach(record => {
+        const entry = this.entries.get(record.target);
+        if (entry) entry.visible = record.isIntersecting;
+      });
+      this.onChange();
+    }, { rootMargin: '50% 0px' });
+    this.mutationObserver = new MutationObserver((records) => this.handleMutations(records));
+
+    this.handleScroll = () => {
+      this.scroll.x = window.scrollX;
+      this.scroll.y = window.scrollY;
+      this.onChange();
+    };
+
+    this.scan(document.body);
+    this.resizeObserver.observe(document.body); // Content above an element moved it
+    this.mutationObserver.observe(document.body, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ['data-field-charge', 'data-field-active']
+    });
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+  }
+
+  /**
+   * Adds every marked element in a subtree
+   *
+   * @param {Element} root - Subtree root
+   * @returns {void}
+   */
+  scan(root) {
+    if (root.matches('[data-field-charge]')) this.add(root);
+    root.querySelectorAll('[data-field-charge]').forEach(element => this.add(element));
+  }
+
+  /**
+   * Reads an element's data-field-* attributes
+   *
+   * @param {Element} element - Marked element
+   * @returns {?{charge: number, obstacle: boolean, hover: boolean}} Settings, or null if invalid
+   */
+  read(element) {
+    const value = (element.getAttribute('data-field-charge') || '').trim();
+    const hover = element.getAttribute('data-field-active') === 'hover';
+    if (value === 'obstacle') {
+      return { charge: 0, obstacle: true, hover };
+    }
+
+    const charge = Number(value);
+    if (!value || !Number.isFinite(charge)) {
+      console.warn(`VectorField: data-field-charge="${value}" should be a number like "+2" or "obstacle"`, element);
+      return null;
+    }
+    return { charge, obstacle: false, hover };
+  }
+
+  /**
+   * Starts tracking an element, or re-reads its settings
+   *
+   * @param {Element} element - Marked element
+   * @returns {void}
+   */
+  add(element) {
+    const settings = this.read(element);
+    if (!settings) {
+      this.remove(element);
+      return;
+    }
+
+    const existing = this.entries.get(element);
+    if (existing) {
+      Object.assign(existing, settings);
+      return;
+    }
+
+    const entry = {
+      ...settings,
+      fixed: getComputedStyle(element).position === 'fixed', // Doesn't scroll with the page
+      active: element.matches(':hover, :focus-within'),
+      visible: false,
+      box: null
+    };
+
+    // Hover-only elements switch on with the pointer or keyboard focus
+    const update = () => {
+      const active = element.matches(':hover, :focus-within');
+      if (active !== entry.active) {
+        entry.active = active;
+        if (entry.hover) this.onChange();
+      }
+    };
+    entry.listeners = { pointerenter: update, pointerleave: update, focusin: update, focusout: () => setTimeout(update, 0) };
+    Object.entries(entry.listeners).forEach(([type, listener]) => element.addEventListener(type, listener));
+
+    this.entries.set(element, entry);
+    this.resizeObserver.observe(element);
+    this.intersectionObserver.observe(element);
+  }
+
+  /**
+   * Stops tracking an element
+   *
+   * @param {Element} element - Element
+   * @returns {void}
+   */
+  remove(element) {
+    const entry = this.entries.get(element);
+    if (!entry) return;
+
+    Object.entries(entry.listeners).forEach(([type, listener]) => element.removeEventListener(type, listener));
+    this.resizeObserver.unobserve(element);
+    this.intersectionObserver.unobserve(element);
+    this.entries.delete(element);
+  }
+
+  /**
+   * Keeps the tracked set in step with the DOM
+   * Only marked elements being added, removed, or re-attributed count as a
+   * change; other edits (such as typewriter text) leave the boxes alone
+   *
+   * @param {MutationRecord[]} records - Mutations
+   * @returns {void}
+   */
+  handleMutations(records) {
+    let changed = false;
+    let removed = false;
+
+    records.forEach(record => {
+      if (record.type === 'attributes') {
+        if (record.target.hasAttribute('data-field-charge')) {
+          this.add(record.target);
+          changed = true;
+        } else if (this.entries.has(record.target)) {
+          this.remove(record.target);
+          changed = true;
+        }
+        return;
+      }
+      record.addedNodes.forEach(node => {
+        if (node instanceof Element && (node.matches('[data-field-charge]') || node.querySelector('[data-field-charge]'))) {
+          this.scan(node);
+          changed = true;
+        }
+      });
+      if (record.removedNodes.length > 0) removed = true;
+    });
+
+    if (removed) {
+      this.entries.forEach((entry, element) => {
+        if (!element.isConnected) {
+          this.remove(element);
+          changed = true;
+        }
+      });
+    }
+    if (changed) this.invalidate();
+  }
+
+  /**
+   * Marks every box for re-measuring before the next frame
+   *
+   * @returns {void}
+   */
+  invalidate() {
+    this.stale = true;
+    this.onChange();
+  }
+
+  /**
+   * Measures every tracked element at once if anything changed
+   * Called at the start of a frame, before anything writes to the DOM, so
+   * it costs at most one layout
+   *
+   * @returns {void}
+   */
+  update() {
+    if (!this.supported || !this.stale) return;
+    this.stale = false;
+    this.scroll.x = window.scrollX;
+    this.scroll.y = window.scrollY;
+
+    this.entries.forEach((entry, element) => {
+      const rect = element.getBoundingClientRect();
+      if (!rect.width && !rect.height) {
+        entry.box = null; // Hidden
+        return;
+      }
+      const dx = entry.fixed ? 0 : this.scroll.x;
+      const dy = entry.fixed ? 0 : this.scroll.y;
+      entry.box = { left: rect.left + dx, top: rect.top + dy, right: rect.right + dx, bottom: rect.bottom + dy };
+    });
+  }
+
+  /**
+   * Lists the tracked elements that currently shape the field
+   *
+   * @param {boolean} obstacle - True for obstacles, false for charges
+   * @returns {Array<Object>} Entries with their box in viewport pixels
+   */
+  current(obstacle) {
+    const found = [];
+    this.entries.forEach(entry => {
+      if (entry.obstacle !== obstacle || !entry.visible || !entry.box || (entry.hover && !entry.active)) return;
+      const dx = entry.fixed ? 0 : this.scroll.x;
+      const dy = entry.fixed ? 0 : this.scroll.y;
+      found.push({
+        charge: entry.charge,
+        left: entry.box.left - dx,
+        top: entry.box.top - dy,
+        right: entry.box.right - dx,
+        bottom: entry.box.bottom - dy
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Sources from charged elements, at the centre of each box
+   *
+   * @returns {Array<{x: number, y: number, charge: number}>} Sources in viewport pixels
+   */
+  getSources() {
+    return this.current(false).map(box => ({
+      x: (box.left + box.right) / 2,
+      y: (box.top + box.bottom) / 2,
+      charge: box.charge
+    }));
+  }
+
+  /**
+   * Boxes the field has to flow around
+   *
+   * @returns {Array<{left: number, top: number, right: number, bottom: number}>} Boxes in viewport pixels
+   */
+  getObstacles() {
+    return this.current(true).map(({ left, top, right, bottom }) => ({ left, top, right, bottom }));
+  }
+
+  /**
+   * Stops observing the page
+   *
+   * @returns {void}
+   */
+  destroy() {
+    if (!this.supported) return;
+    Array.from(this.entries.keys()).forEach(element => this.remove(element));
+    this.resizeObserver.disconnect();
+    this.intersectionObserver.disconnect();
+    this.mutationObserver.disconnect();
+    window.removeEventListener('scroll', this.handleScroll);
+  }
+}
+
+/**
+ * VectorField Class
+ *
+ * Manages the canvas-based vector field visualization on the page: input,
+ * placed charges, theme colors, and the frame loop. Drawing is delegated
+ * to a VectorFieldRenderer, in a worker when possible.
+ *
+ * @class
+ */
+class VectorField {
+  /**
+   * Creates a new VectorField instance
+   *
+   * @param {string|HTMLCanvasElement} canvas - Canvas element, or its ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.mode='arrows'] - Rendering mode: "arrows", "lines", or "flow"
+   * @param {string} [options.model='classic'] - Field model: a VectorFieldRenderer.MODELS key or a vectorFieldModels key (config.js)
+   * @param {boolean} [options.worker=true] - Draw in a Web Worker where OffscreenCanvas is supported
+   * @param {boolean} [options.embedded=false] - Bounded field inside page content instead of the full-screen background
+   * @param {Element} [options.surface] - Element an embedded field takes its size and pointer input from (defaults to the canvas's parent)
+   * @param {boolean} [options.ambient=true] - Show orbiting charges after a while without input
+   * @param {number} [options.gridSize=40] - Spacing between arrows (pixels)
+   * @param {number} [options.lineLength=25] - Length of each arrow (pixels)
+   * @param {number} [options.colorFalloff=300] - Distance at which arrows reach the far color (pixels)
+   * @param {number} [options.chargeValue=1] - Charge placed by a click (Shift+click places its opposite)
+   * @param {Object[]} [options.charges] - Charges to start with: { x, y, charge }, x and y as fractions of the canvas size
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = typeof canvas === 'string' ? document.getElementById(canvas) : canvas;
+    if (!this.canvas) return;
+
+    this.embedded = Boolean(options.embedded);
+    this.surface = this.embedded ? options.surface || this.canvas.parentElement : null;
+
+    this.mode = VectorField.MODES.includes(options.mode) ? options.mode : 'arrows';
+    if (options.mode && options.mode !== this.mode) {
+      console.warn(`VectorField: unknown mode "${options.mode}", using "arrows" (expected one of ${VectorField.MODES.join(', ')})`);
+    }
+    this.fieldModel = this.resolveModel(options.model); // { name, model, expression, usesTime }
+    this.gridSize = options.gridSize || 40; // Spacing between arrows (pixels)
+    this.lineLength = options.lineLength || 25; // Length of each arrow (pixels)
+    this.colorFalloff = options.colorFalloff || 300; // Distance at which arrows reach the far color (pixels)
+    this.pointers = new Map(); // Active pointers by pointerId: { x, y }
+    this.width = 0; // Canvas size in CSS pixels
+    this.height = 0;
+    this.pixelRatio = 1;
+    this.maxPixelRatio = 3; // Sharper than this isn't visible, only slower
+    this.animationId = null; // Animation frame ID for cleanup
+    this.dirty = true; // Something changed since the last frame was drawn
+    this.renderer = null; // Main-thread renderer (null while a worker draws)
+    this.worker = null;
+    this.workerBusy = false; // A frame is with the worker; don't queue another
+    this.useWorker = options.worker !== false;
+    this.charges = []; // Placed point charges: { x, y, charge } in canvas pixels
+    this.chargeValue = options.chargeValue || 1; // Charge placed by a click
+    this.maxCharges = 12; // Oldest charge is dropped beyond this
+    this.chargeRadius = 9; // Drawn radius and click target (pixels)
+    this.cursorCharge = -1; // The cursor attracts, like a negative charge
+    this.ambient = options.ambient !== false;
+    this.idleDelay = 4000; // Time without input before ambient mode (ms)
+    this.lastInput = performance.now(); // Time of the last pointer input; starts at load so ambient waits idleDelay
+    this.ambientCharges = [1, -1]; // Charges that orbit the screen in ambient mode
+    this.ambientLevel = 0; // 0-1, scales the ambient charges as they fade in and out
+    this.ambientFade = { in: 1500, out: 400 }; // Fade durations (ms)
+    this.lastTick = 0;
+    this.reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    this.reducedMotion = Boolean(this.reducedMotionQuery && this.reducedMotionQuery.matches);
+    this.elements = null; // FieldElements: page content marked with data-field-charge (background only)
+    this.initialCharges = options.charges || [];
+    this.listeners = new AbortController(); // Aborted by destroy() to remove every listener
+    this.observers = []; // ResizeObserver/IntersectionObserver of an embedded field
+    this.onScreen = true; // An embedded field pauses while scrolled out of view
+
+    this.init();
+  }
+
+  /**
+   * Initializes the vector field
+   * Sizes the canvas, starts a renderer, binds events, and starts animation
+   *
+   * @returns {void}
+   */
+  init() {
+    if (!this.embedded) {
+      this.elements = new FieldElements(() => {
+        this.dirty = true;
+      });
+    }
+    this.resize();
+    this.initialCharges.forEach(({ x, y, charge }) => this.addCharge(x * this.width, y * this.height, charge));
+    if (!this.startWorker()) {
+      this.startRenderer();
+    }
+    this.bindEvents();
+    this.updateLoop();
+  }
+
+  /**
+   * Looks up a field model by name
+   * Built-in models come from VectorFieldRenderer.MODELS; expression
+   * models from vectorFieldModels in config.js, which are compiled here
+   * first so a typo shows up as a console warning instead of a blank
+   * background. Anything unknown or invalid falls back to "classic".
+   *
+   * @param {string} [name] - Model name
+   * @returns {{model: ?string, expression: ?Object, usesTime: boolean}} Renderer model options
+   */
+  resolveModel(name) {
+    const classic = { name: 'classic', model: 'classic', expression: null, usesTime: false };
+    const builtIn = Object.keys(VectorFieldRenderer.MODELS);
+    const custom = typeof vectorFieldModels === 'object' && vectorFieldModels ? vectorFieldModels : {};
+
+    if (!name) return classic;
+    if (builtIn.includes(name)) {
+      return { name, model: name, expression: null, usesTime: false };
+    }
+    if (!Object.prototype.hasOwnProperty.call(custom, name)) {
+      console.warn(`VectorField: unknown model "${name}", using "classic" (expected one of ${[...builtIn, ...Object.keys(custom)].join(', ')})`);
+      return classic;
+    }
+
+    const entry = custom[name];
+    let compiled;
+    try {
+      compiled = [new FieldExpression(entry.vx), new FieldExpression(entry.vy)];
+    } catch (error) {
+      console.warn(`VectorField: model "${name}": ${error.message}, using "classic"`);
+      return classic;
+    }
+
+    let sources = entry.sources === undefined ? 'classic' : entry.sources;
+    if (sources !== false && !builtIn.includes(sources)) {
+      console.warn(`VectorField: model "${name}": unknown sources model "${sources}", using "classic"`);
+      sources = 'classic';
+    }
+
+    return {
+      name,
+      model: sources === false ? null : sources,
+      expression: { vx: entry.vx, vy: entry.vy, scale: entry.scale || 1 },
+      usesTime: compiled.some(expression => expression.usesTime)
+    };
+  }
+
+  /**
+   * Options shared by the main-thread and worker renderers
+   *
+   * @returns {Object} VectorFieldRenderer options
+   */
+  rendererOptions() {
+    return {
+      mode: this.mode,
+      gridSize: this.gridSize,
+      lineLength: this.lineLength,
+      colorFalloff: this.colorFalloff,
+      chargeRadius: this.chargeRadius,
+      model: this.fieldModel.model,
+      expression: this.fieldModel.expression
+    };
+  }
+
+  /**
+   * Moves drawing to a Web Worker with an OffscreenCanvas
+   * Needs OffscreenCanvas support and a page served over http(s) - pages
+   * opened from disk can't start workers
+   *
+   * @returns {boolean} True if the worker took over the canvas
+   */
+  startWorker() {
+    const supported = this.useWorker &&
+      VECTOR_FIELD_SCRIPT_URL &&
+      typeof Worker === 'function' &&
+      typeof OffscreenCanvas === 'function' &&
+      typeof this.canvas.transferControlToOffscreen === 'function' &&
+      window.location.protocol !== 'file:';
+    if (!supported) return false;
+
+    let worker;
+    try {
+      worker = new Worker(new URL('vector-field-worker.js', VECTOR_FIELD_SCRIPT_URL).href);
+    } catch (error) {
+      return false;
+    }
+
+    const offscreen = this.canvas.transferControlToOffscreen();
+    worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      options: this.rendererOptions(),
+      width: this.width,
+      height: this.height,
+      pixelRatio: this.pixelRatio
+    }, [offscreen]);
+
+    worker.addEventListener('message', (e) => {
+      if (e.data.type === 'drawn') {
+        this.workerBusy = false;
+      }
+    });
+
+    // A worker that fails to load (or throws) hands drawing back to the page
+    worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      console.warn(`VectorField: worker failed (${e.message || 'could not load'}), drawing on the main thread`);
+      this.startRenderer();
+    });
+
+    this.worker = worker;
+    return true;
+  }
+
+  /**
+   * Draws on the main thread
+   * If a worker had the canvas, it is stopped and the canvas replaced: a
+   * canvas handed to a worker can't be drawn on from the page again
+   *
+   * @returns {void}
+   */
+  startRenderer() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      this.workerBusy = false;
+
+      const canvas = this.canvas.cloneNode(false);
+      this.canvas.replaceWith(canvas);
+      this.canvas = canvas;
+    }
+
+    this.renderer = new VectorFieldRenderer(this.canvas, this.rendererOptions());
+    this.renderer.resize(this.width, this.height, this.pixelRatio);
+    this.dirty = true;
+  }
+
+  /**
+   * Resizes the canvas to match window dimensions (or an embedded field's
+   * surface) at the screen's pixel ratio (zooming also fires resize, so a
+   * ratio change is picked up too)
+   *
+   * @returns {void}
+   */
+  resize() {
+    const width = this.embedded ? this.surface.clientWidth : window.innerWidth;
+    const height = this.embedded ? this.surface.clientHeight : window.innerHeight;
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, this.maxPixelRatio);
+
+    // Keep placed charges at the same relative position
+    const scaleX = this.width ? width / this.width : 1;
+    const scaleY = this.height ? height / this.height : 1;
+    this.charges.forEach(charge => {
+      charge.x *= scaleX;
+      charge.y *= scaleY;
+    });
+
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+    if (this.elements) this.elements.invalidate();
+
+    if (this.worker) {
+      this.worker.postMessage({ type: 'resize', width, height, pixelRatio });
+    } else if (this.renderer) {
+      this.renderer.resize(width, height, pixelRatio);
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Binds event listeners for pointer tracking, resizing, clicks, theme
+   * changes, motion preference, and tab visibility
+   * The background listens on the whole window and document; an embedded
+   * field only on its surface. Every listener shares one AbortSignal, so
+   * destroy() removes them all.
+   *
+   * @returns {void}
+   */
+  bindEvents() {
+    const signal = this.listeners.signal;
+    const passive = { passive: true, signal };
+    const target = this.embedded ? this.surface : window;
+
+    // The mouse (or a hovering pen) is a source while over the page; each
+    // touch is a source from the moment it lands until it lifts
+    const track = (e) => {
+      this.lastInput = performance.now();
+      const { x, y } = this.toLocal(e);
+      const pointer = this.pointers.get(e.pointerId);
+      if (pointer && pointer.x === x && pointer.y === y) return;
+      this.pointers.set(e.pointerId, { x, y });
+      this.dirty = true;
+    };
+    const release = (e) => {
+      this.lastInput = performance.now();
+      if (this.pointers.delete(e.pointerId)) this.dirty = true;
+    };
+
+    target.addEventListener('pointermove', track, passive);
+    target.addEventListener('pointerdown', track, passive);
+    target.addEventListener('pointerup', (e) => {
+      if (e.pointerType === 'touch') release(e);
+    }, passive);
+    // Also fired when a touch turns into a scroll
+    target.addEventListener('pointercancel', release, passive);
+
+    if (this.embedded) {
+      this.surface.addEventListener('pointerleave', release, passive);
+      this.surface.addEventListener('click', (e) => this.handleClick(e), { signal });
+      this.surface.addEventListener('dblclick', () => this.clearCharges(), { signal });
+
+      // Without the observers the demo follows the window's size and keeps
+      // running while off screen
+      if (typeof ResizeObserver === 'function') {
+        const resizeObserver = new ResizeObserver(() => this.resize());
+        resizeObserver.observe(this.surface);
+        this.observers.push(resizeObserver);
+      } else {
+        window.addEventListener('resize', () => this.resize(), { signal });
+      }
+      if (typeof IntersectionObserver === 'function') {
+        const intersectionObserver = new IntersectionObserver((records) => {
+          this.onScreen = records[records.length - 1].isIntersecting;
+          this.updateLoop();
+        });
+        intersectionObserver.observe(this.surface);
+        this.observers.push(intersectionObserver);
+      }
+    } else {
+      window.addEventListener('resize', () => this.resize(), { signal });
+
+      // Pointer left the window (hide its source)
+      document.addEventListener('pointerout', (e) => {
+        if (!e.relatedTarget) release(e);
+      }, passive);
+
+      // The canvas ignores pointer events so the page stays usable; clicks on
+      // empty background reach the document instead
+      document.addEventListener('click', (e) => {
+        if (this.isBackgroundClick(e)) this.handleClick(e);
+      }, { signal });
+
+      document.addEventListener('dblclick', (e) => {
+        if (this.isBackgroundClick(e)) {
+          this.clearCharges();
+          window.getSelection().removeAllRanges(); // Double-click selects a word
+        }
+      }, { signal });
+    }
+
+    document.addEventListener('theme:change', () => {
+      this.dirty = true;
+    }, { signal });
+
+    if (this.reducedMotionQuery) {
+      this.reducedMotionQuery.addEventListener('change', (e) => {
+        this.reducedMotion = e.matches;
+        this.dirty = true;
+      }, { signal });
+    }
+
+    // Nothing to see in a hidden tab; stop the loop until it's back
+    document.addEventListener('visibilitychange', () => this.updateLoop(), { signal });
+  }
+
+  /**
+   * Converts an event's viewport position to canvas coordinates
+   *
+   * @param {MouseEvent} e - Pointer or mouse event
+   * @returns {{x: number, y: number}} Position in canvas pixels
+   */
+  toLocal(e) {
+    if (!this.embedded) {
+      return { x: e.clientX, y: e.clientY };
+    }
+    const rect = this.surface.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  /**
+   * Places, flips, or removes a charge for a click on the field
+   * Clicking empty space places chargeValue (its opposite with Shift);
+   * clicking a charge flips + to −, then removes it; Alt/Ctrl/Cmd+click
+   * removes it directly
+   *
+   * @param {MouseEvent} e - Click event
+   * @returns {void}
+   */
+  handleClick(e) {
+    if (e.button !== 0) return;
+
+    const { x, y } = this.toLocal(e);
+    const hit = this.findCharge(x, y);
+    const removing = e.altKey || e.ctrlKey || e.metaKey;
+    if (hit === -1) {
+      if (!removing) this.addCharge(x, y, e.shiftKey ? -this.chargeValue : this.chargeValue);
+    } else if (removing || this.charges[hit].charge < 0) {
+      this.charges.splice(hit, 1);
+    } else {
+      // Tapping a + charge flips it, so touch screens can place − charges
+      this.charges[hit].charge = -this.charges[hit].charge;
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Checks whether a click landed on empty page background
+   * Clicks on links, controls, media, overlays, or text are page
+   * interaction and never place charges
+   *
+   * @param {MouseEvent} e - Click event
+   * @returns {boolean} True if the click should act on the field
+   */
+  isBackgroundClick(e) {
+    const target = e.target;
+    if (e.defaultPrevented || e.button !== 0 || !(target instanceof Element)) {
+      return false;
+    }
+
+    // A drag that selected text also ends in a click
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed && e.type === 'click') {
+      return false;
+    }
+
+    if (target.closest(VectorField.INTERACTIVE_SELECTOR)) {
+      return false;
+    }
+
+    // Text blocks (paragraphs, headings, list items) are content, not background
+    return !Array.from(target.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+  }
+
+  /**
+   * Places a point charge, dropping the oldest beyond maxCharges
+   *
+   * @param {number} x - X coordinate (canvas pixels)
+   * @param {number} y - Y coordinate (canvas pixels)
+   * @param {number} charge - Positive (field points away) or negative (field points toward)
+   * @returns {void}
+   */
+  addCharge(x, y, charge) {
+    this.charges.push({ x, y, charge });
+    if (this.charges.length > this.maxCharges) {
+      this.charges.shift();
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Finds the placed charge under a point
+   *
+   * @param {number} x - X coordinate (canvas pixels)
+   * @param {number} y - Y coordinate (canvas pixels)
+   * @returns {number} Index into this.charges, or -1
+   */
+  findCharge(x, y) {
+    const hitRadius = this.chargeRadius * 2; // Generous target for fingers
+    for (let i = this.charges.length - 1; i >= 0; i--) {
+      const charge = this.charges[i];
+      if (Math.hypot(charge.x - x, charge.y - y) <= hitRadius) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Colors a snapshot is drawn over: the first opaque background behind
+   * the canvas, and the canvas's own opacity, so exports look like the page
+   *
+   * @returns {{background: string, opacity: number}} CSS color and opacity
+   */
+  snapshotStyle() {
+    let background = '';
+    for (let element = this.canvas; element && !background; element = element.parentElement) {
+      const color = getComputedStyle(element).backgroundColor;
+      if (color && color !== 'transparent' && !/^rgba\(.*,\s*0\)$/.test(color)) {
+        background = color;
+      }
+    }
+    const opacity = parseFloat(getComputedStyle(this.canvas).opacity);
+    return {
+      background: background || getComputedStyle(document.documentElement).getPropertyValue('--color-bg').trim() || '#000',
+      opacity: Number.isNaN(opacity) ? 1 : opacity
+    };
+  }
+
+  /**
+   * Draws the current frame as a PNG on a fresh main-thread renderer (the
+   * visible canvas may belong to the worker), over the page background
+   * `flow` mode runs a couple of seconds of particles first, so the
+   * snapshot has trails
+   *
+   * @param {number} [scale] - Pixel ratio of the image (defaults to the screen's, at least 2)
+   * @returns {Promise<Blob>} PNG image
+   */
+  toPNG(scale = Math.max(2, this.pixelRatio)) {
+    const { background, opacity } = this.snapshotStyle();
+    const frame = this.getFrame();
+
+    const field = document.createElement('canvas');
+    const renderer = new VectorFieldRenderer(field, this.rendererOptions());
+    renderer.resize(this.width, this.height, scale);
+    const steps = frame.mode === 'flow' ? 120 : 1;
+    for (let i = 0; i < steps; i++) {
+      renderer.render(frame);
+    }
+
+    const image = document.createElement('canvas');
+    image.width = field.width;
+    image.height = field.height;
+    const ctx = image.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, image.width, image.height);
+    ctx.globalAlpha = opacity;
+    ctx.drawImage(field, 0, 0);
+
+    return new Promise((resolve, reject) => {
+      image.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+  }
+
+  /**
+   * Draws the current frame as SVG: the renderer draws onto an
+   * SVGPathContext, so the arrows are the same vectors computeArrows()
+   * hands to the canvas. `flow` mode is exported as arrows, since trails
+   * are pixels rather than paths
+   *
+   * @returns {string} SVG document
+   */
+  toSVG() {
+    const frame = this.getFrame();
+    const context = new SVGPathContext(this.width, this.height);
+    const renderer = new VectorFieldRenderer({ getContext: () => context }, this.rendererOptions());
+    renderer.resize(this.width, this.height, 1);
+    renderer.render({ ...frame, mode: frame.mode === 'flow' ? 'arrows' : frame.mode });
+    return context.toSVG(this.snapshotStyle());
+  }
+
+  /**
+   * Builds a link that reopens the page with this scene: the placed
+   * charges (as fractions of the canvas, so they land in the same places
+   * on another screen size), mode, model, grid size, line length, and the
+   * current theme. VectorField.readShareURL() reads it back
+   *
+   * @returns {string} Absolute URL
+   */
+  getShareURL() {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const url = new URL(window.location.href);
+    VectorField.SHARE_PARAMS.forEach(param => url.searchParams.delete(param));
+    url.hash = '';
+
+    url.searchParams.set('field-mode', this.mode);
+    url.searchParams.set('field-model', this.fieldModel.name);
+    url.searchParams.set('field-grid', String(this.gridSize));
+    url.searchParams.set('field-length', String(this.lineLength));
+    if (this.charges.length) {
+      url.searchParams.set('field-charges', this.charges
+        .map(({ x, y, charge }) => [round(x / this.width), round(y / this.height), charge].join(','))
+        .join(','));
+    }
+    const theme = document.documentElement.getAttribute('data-theme');
+    if (theme) url.searchParams.set('theme', theme);
+
+    // Commas are fine in a query string and keep the charge list readable
+    return url.href.replace(/%2C/gi, ',');
+  }
+
+  /**
+   * Changes settings while running
+   * Only the settings given change; a new chargeValue also gives every
+   * placed charge that magnitude, keeping its sign
+   *
+   * @param {Object} changes - Any of mode, model, gridSize, lineLength, colorFalloff, chargeValue
+   * @returns {void}
+   */
+  configure(changes) {
+    if (changes.mode !== undefined) {
+      this.mode = VectorField.MODES.includes(changes.mode) ? changes.mode : this.mode;
+    }
+    if (changes.model !== undefined) {
+      this.fieldModel = this.resolveModel(changes.model);
+    }
+    if (changes.gridSize) this.gridSize = changes.gridSize;
+    if (changes.lineLength) this.lineLength = changes.lineLength;
+    if (changes.colorFalloff) this.colorFalloff = changes.colorFalloff;
+    if (changes.chargeValue) {
+      this.chargeValue = changes.chargeValue;
+      this.charges.forEach(charge => {
+        charge.charge = Math.sign(charge.charge) * Math.abs(changes.chargeValue);
+      });
+    }
+
+    const options = this.rendererOptions();
+    if (this.worker) {
+      this.worker.postMessage({ type: 'configure', options });
+    } else if (this.renderer) {
+      this.renderer.configure(options);
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Removes every placed charge
+   *
+   * @returns {void}
+   */
+  clearCharges() {
+    this.charges = [];
+    this.dirty = true;
+  }
+
+  /**
+   * Lists every field source: the placed charges, charged page elements,
+   * the pointers, and the ambient charges while they are showing
+   * With reduced motion the pointers don't count and the ambient charges
+   * stay in their starting places at full strength
+   *
+   * @param {number} [now=performance.now()] - Current time (ms)
+   * @returns {Array<{x: number, y: number, charge: number}>} Sources
+   */
+  getSources(now = performance.now()) {
+    const elements = this.elements ? this.elements.getSources() : [];
+    if (this.reducedMotion) {
+      return [...this.charges, ...elements, ...(this.ambient ? this.getAmbientSources(0, 1) : [])];
+    }
+
+    const pointers = Array.from(this.pointers.values(), ({ x, y }) => ({ x, y, charge: this.cursorCharge }));
+    const ambient = this.ambientLevel > 0 ? this.getAmbientSources(now, this.ambientLevel) : [];
+    return [...this.charges, ...elements, ...pointers, ...ambient];
+  }
+
+  /**
+   * Positions the ambient charges at a point in time
+   * Each orbits the middle of the screen on its own ellipse, with a slower
+   * wobble on top, so the pattern doesn't visibly repeat
+   *
+   * @param {number} time - Time (ms)
+   * @param {number} level - 0-1 strength, for fading in and out
+   * @returns {Array<{x: number, y: number, charge: number}>} Sources
+   */
+  getAmbientSources(time, level) {
+    const t = time / 1000;
+    const count = this.ambientCharges.length;
+
+    return this.ambientCharges.map((charge, i) => {
+      const phase = (i / count) * Math.PI * 2;
+      const orbit = t * 0.15 + phase;
+      const wobble = t * 0.05 * (i + 1) + phase;
+      return {
+        x: this.width * (0.5 + 0.3 * Math.cos(orbit) + 0.08 * Math.sin(wobble)),
+        y: this.height * (0.5 + 0.3 * Math.sin(orbit) + 0.08 * Math.cos(wobble * 1.3)),
+        charge: charge * level
+      };
+    });
+  }
+
+  /**
+   * Fades the ambient charges in after idleDelay without input, and out
+   * again as soon as input returns
+   *
+   * @param {number} now - Current time (ms)
+   * @returns {void}
+   */
+  updateAmbient(now) {
+    // Ignore long gaps (background tab) so the fade doesn't jump
+    const elapsed = this.lastTick ? Math.min(now - this.lastTick, 100) : 0;
+    this.lastTick = now;
+
+    const idle = this.ambient && !this.reducedMotion && now - this.lastInput > this.idleDelay;
+    const level = idle
+      ? Math.min(1, this.ambientLevel + elapsed / this.ambientFade.in)
+      : Math.max(0, this.ambientLevel - elapsed / this.ambientFade.out);
+    if (level !== this.ambientLevel) {
+      this.ambientLevel = level;
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Mode to draw in: flow mode only ever animates, so reduced motion shows
+   * its field as still field lines instead
+   *
+   * @returns {string} "arrows", "lines", or "flow"
+   */
+  getRenderMode() {
+    return this.reducedMotion && this.mode === 'flow' ? 'lines' : this.mode;
+  }
+
+  /**
+   * Gets the current theme's vector colors
+   * Falls back to the dark theme's colors when theme.js isn't loaded
+   *
+   * @returns {{near: number[], far: number[], opacity: number[]}} Color ramp
+   */
+  getColorRamp() {
+    if (typeof getActiveTheme === 'function') {
+      return getActiveTheme().vectorField;
+    }
+    return VectorFieldRenderer.DEFAULT_RAMP;
+  }
+
+  /**
+   * Collects what a renderer needs to draw the next frame
+   * Plain data, so it can be posted to the worker as-is. Page elements are
+   * measured here first if anything moved them.
+   *
+   * @param {number} [now=performance.now()] - Current time (ms)
+   * @returns {{mode: string, time: number, sources: Array<Object>, charges: Array<Object>, obstacles: Array<Object>, ramp: Object}} Frame state
+   */
+  getFrame(now = performance.now()) {
+    if (this.elements) this.elements.update();
+    return {
+      mode: this.getRenderMode(),
+      time: this.reducedMotion ? 0 : now / 1000,
+      sources: this.getSources(now),
+      charges: this.charges,
+      obstacles: this.elements ? this.elements.getObstacles() : [],
+      ramp: this.getColorRamp()
+    };
+  }
+
+  /**
+   * Draws a frame if anything changed since the last one
+   * Flow mode, ambient charges, and expressions of t animate on their own,
+   * so they draw every frame. With a worker, a frame is only sent once the previous one is
+   * drawn, so a slow frame never builds a queue; the change is picked up on
+   * the next tick.
+   *
+   * @param {number} [now=performance.now()] - Current time (ms)
+   * @returns {void}
+   */
+  draw(now = performance.now()) {
+    const animating = this.getRenderMode() === 'flow' || this.ambientLevel > 0 || (this.fieldModel.usesTime && !this.reducedMotion);
+    if (!this.dirty && !animating) return;
+
+    if (this.worker) {
+      if (this.workerBusy) return;
+      this.workerBusy = true;
+      this.worker.postMessage({ type: 'frame', frame: this.getFrame(now) });
+    } else if (this.renderer) {
+      this.renderer.render(this.getFrame(now));
+    }
+    this.dirty = false;
+  }
+
+  /**
+   * Animation loop using requestAnimationFrame
+   * Runs every frame but only draws when draw() has something to show
+   *
+   * @returns {void}
+   */
+  animate() {
+    const now = performance.now();
+    this.updateAmbient(now);
+    this.draw(now);
+    this.animationId = requestAnimationFrame(() => this.animate());
+  }
+
+  /**
+   * Runs the loop only while there is something to see: the tab is
+   * visible and (for an embedded field) it is on screen
+   *
+   * @returns {void}
+   */
+  updateLoop() {
+    if (document.hidden || !this.onScreen) {
+      this.pause();
+    } else {
+      this.resume();
+    }
+  }
+
+  /**
+   * Stops the animation loop (e.g. while the tab is hidden)
+   *
+   * @returns {void}
+   */
+  pause() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  /**
+   * Restarts the animation loop after pause()
+   *
+   * @returns {void}
+   */
+  resume() {
+    if (this.animationId) return;
+    this.dirty = true;
+    this.lastTick = 0;
+    this.animate();
+  }
+
+  /**
+   * Stops the vector field for good: the animation loop, every event
+   * listener and observer, and the worker
+   * Should be called when the vector field is no longer needed
+   *
+   * @returns {void}
+   */
+  destroy() {
+    this.pause();
+    this.listeners.abort();
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    if (this.elements) {
+      this.elements.destroy();
+      this.elements = null;
+    }
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+/**
+ * Rendering modes: a grid of arrows, continuous field lines, or advected particles
+ * @type {string[]}
+ */
+VectorField.MODES = ['arrows', 'lines', 'flow'];
+
+/**
+ * The page's background field, once the bootstrap below has created it
+ * @type {?VectorField}
+ */
+VectorField.background = null;
+
+/**
+ * Query parameters of a shared scene (see getShareURL())
+ * @type {string[]}
+ */
+VectorField.SHARE_PARAMS = ['field-mode', 'field-model', 'field-grid', 'field-length', 'field-charges', 'theme'];
+
+/**
+ * Reads a scene from a link made by getShareURL()
+ * The theme parameter is handled by theme.js; anything malformed is
+ * skipped with a console warning
+ *
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} VectorField options (mode, model, gridSize, lineLength, charges), empty without a shared scene
+ */
+VectorField.readShareURL = (search) => {
+  const params = new URLSearchParams(search);
+  const options = {};
+  const read = (param, key) => {
+    if (!params.has(param)) return;
+    const value = VectorField.parseOption(key, params.get(param), param);
+    if (value !== undefined) options[key] = value;
+  };
+
+  read('field-mode', 'mode');
+  read('field-model', 'model');
+  read('field-grid', 'gridSize');
+  read('field-length', 'lineLength');
+
+  if (params.has('field-charges')) {
+    const values = params.get('field-charges').split(',').map(Number);
+    if (values.length % 3 || values.some(value => !Number.isFinite(value))) {
+      console.warn(`VectorField: ignoring field-charges="${params.get('field-charges')}" (expected x,y,charge triples)`);
+    } else {
+      options.charges = [];
+      for (let i = 0; i < values.length; i += 3) {
+        options.charges.push({ x: values[i], y: values[i + 1], charge: values[i + 2] });
+      }
+    }
+  }
+  return options;
+};
+
+/**
+ * Options a preset or <body data-vector-field> can set, with what each accepts
+ * @type {Object<string, {type: string, values?: string[], min?: number, max?: number}>}
+ */
+VectorField.OPTIONS = {
+  enabled: { type: 'boolean' }, // false: no background field on the page
+  mode: { type: 'string', values: VectorField.MODES },
+  model: { type: 'string' }, // Checked against the models by resolveModel()
+  gridSize: { type: 'number', min: 10, max: 200 },
+  lineLength: { type: 'number', min: 5, max: 100 },
+  colorFalloff: { type: 'number', min: 50, max: 2000 },
+  opacity: { type: 'number', min: 0, max: 1 }, // Canvas opacity
+  ambient: { type: 'boolean' }
+};
+
+/**
+ * Checks one option against VectorField.OPTIONS
+ * Values written in an attribute or URL arrive as strings and are
+ * converted first ("0.4", "false")
+ *
+ * @param {string} key - Option name
+ * @param {*} value - Value to check
+ * @param {string} where - Where the value came from, for the warning
+ * @returns {*} The value, or undefined (with a console warning) if it isn't valid
+ */
+VectorField.parseOption = (key, value, where) => {
+  const spec = VectorField.OPTIONS[key];
+  if (!spec) {
+    console.warn(`VectorField: ${where}: unknown option "${key}" (expected one of ${Object.keys(VectorField.OPTIONS).join(', ')})`);
+    return undefined;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string' && spec.type === 'number' && value.trim() !== '') parsed = Number(value);
+  if (typeof value === 'string' && spec.type === 'boolean' && /^(true|false)$/.test(value)) parsed = value === 'true';
+
+  let expected = null;
+  if (typeof parsed !== spec.type || (spec.type === 'number' && !Number.isFinite(parsed))) {
+    expected = spec.type === 'number' ? `a number from ${spec.min} to ${spec.max}` : `${spec.type === 'boolean' ? 'true or false' : 'a string'}`;
+  } else if (spec.values && !spec.values.includes(parsed)) {
+    expected = `one of ${spec.values.join(', ')}`;
+  } else if (spec.type === 'number' && (parsed < spec.min || parsed > spec.max)) {
+    expected = `a number from ${spec.min} to ${spec.max}`;
+  }
+
+  if (expected) {
+    console.warn(`VectorField: ${where}: ignoring ${key}=${JSON.stringify(value)} (expected ${expected})`);
+    return undefined;
+  }
+  return parsed;
+};
+
+/**
+ * Resolves a page's field configuration from vectorFieldPresets (config.js)
+ * and the value of <body data-vector-field>: a preset name, then any
+ * overrides as key=value, e.g. "quiet", "quiet opacity=0.3", "gridSize=60",
+ * or "off". The "default" preset sits under every other one. Unknown
+ * presets, unknown options, and bad values are skipped with a console
+ * warning
+ *
+ * @param {?string} value - Attribute value (empty for the default preset)
+ * @returns {Object} Options from VectorField.OPTIONS
+ */
+VectorField.resolveConfig = (value) => {
+  const presets = typeof vectorFieldPresets === 'object' && vectorFieldPresets ? vectorFieldPresets : {};
+  const has = (name) => Object.prototype.hasOwnProperty.call(presets, name);
+  const tokens = String(value || '').trim().split(/\s+/).filter(Boolean);
+  const config = {};
+  const apply = (options, where) => {
+    Object.keys(options).forEach(key => {
+      const parsed = VectorField.parseOption(key, options[key], where);
+      if (parsed !== undefined) config[key] = parsed;
+    });
+  };
+
+  let name = 'default';
+  if (tokens.length && !tokens[0].includes('=')) {
+    name = tokens.shift();
+  }
+  if (!has(name) && name !== 'default') {
+    console.warn(`VectorField: unknown preset "${name}", using "default" (expected one of ${Object.keys(presets).join(', ')})`);
+    name = 'default';
+  }
+
+  if (has('default')) apply(presets.default, 'preset "default"');
+  if (name !== 'default') apply(presets[name], `preset "${name}"`);
+
+  const overrides = {};
+  tokens.forEach(token => {
+    const [key, ...rest] = token.split('=');
+    if (!rest.length) {
+      console.warn(`VectorField: data-vector-field: ignoring "${token}" (expected key=value after the preset name)`);
+      return;
+    }
+    overrides[key] = rest.join('=');
+  });
+  apply(overrides, 'data-vector-field');
+
+  return config;
+};
+
+/**
+ * Elements whose clicks belong to the page, never to the field
+ * @type {string}
+ */
+VectorField.INTERACTIVE_SELECTOR = [
+  'a', 'button', 'input', 'select', 'textarea', 'label', 'summary', 'details',
+  'iframe', 'img', 'video', 'audio', 'canvas:not(#vector-field-canvas)',
+  '[contenteditable]', '[role="button"]', '[role="dialog"]', '[role="menu"]', '[tabindex]',
+  '.menu-toggle', '.theme-menu', '.page-nav', '.portfolio-card', '.lightbox', '.search-palette',
+  '.vector-field-demo', '.field-share-menu', '.page-nav-sheet-backdrop'
+].join(', ');
+
+/**
+ * Initializes the vector field when DOM is ready
+ * Creates canvas element and sets up the VectorField instance, unless the
+ * page's preset turns the field off
+ * (skipped inside the worker, which only needs VectorFieldRenderer)
+ */
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function() {
+    // Preset and overrides from <body data-vector-field> (see vectorFieldPresets in config.js)
+    const config = VectorField.resolveConfig(document.body.getAttribute('data-vector-field'));
+    if (config.enabled === false) {
+      return; // Field turned off for this page
+    }
+
+    // Create canvas element
+    const canvas = document.createElement('canvas');
+    canvas.id = 'vector-field-canvas';
+    canvas.style.position = 'fixed';
+    canvas.style.top = '0';
+    canvas.style.left = '0';
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+    canvas.style.pointerEvents = 'none';
+    canvas.style.zIndex = '0';
+    canvas.style.opacity = String(config.opacity === undefined ? 0.6 : config.opacity); // Visible but subtle
+
+    // Insert at the beginning of body
+    document.body.insertBefore(canvas, document.body.firstChild);
+
+    // Initialize vector field (<body data-vector-field-mode> and
+    // <body data-vector-field-model> override the preset, and a shared link
+    // overrides everything). A shared scene keeps still: no ambient pair
+    const shared = VectorField.readShareURL(window.location.search);
+    VectorField.background = new VectorField('vector-field-canvas', {
+      ...config,
+      mode: document.body.getAttribute('data-vector-field-mode') || config.mode,
+      model: document.body.getAttribute('data-vector-field-model') || config.model,
+      ...shared,
+      ambient: shared.charges ? false : config.ambient
+    });
+
+    // Make content appear above the field
+    const mainContent = document.querySelector('main');
+    if (mainContent) {
+      mainContent.style.position = 'relative';
+      mainContent.style.zIndex = '1';
+    }
+
+    const footer = document.querySelector('footer');
+    if (footer) {
+      footer.style.position = 'relative';
+      footer.style.zIndex = '1';
+    }
+
+    // Frame-time benchmark, loaded only when asked for
+    if (VECTOR_FIELD_SCRIPT_URL && new URLSearchParams(window.location.search).has('vector-field-bench')) {
+      const script = document.createElement('script');
+      script.src = new URL('vector-field-bench.js', VECTOR_FIELD_SCRIPT_URL).href;
+      script.addEventListener('load', () => runVectorFieldBenchmark());
+      document.body.appendChild(script);
+    }
+  });
+}
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Site Build
+ *
+ * Renders every docs/content/*.md into its docs/*.html page using the
+ * shared page shell, then generates the thoughts blog (post pages, tag
+ * archives, Atom/RSS feeds) from docs/content/thoughts/*.md into
+ * docs/thoughts/. Art, music, and projects cards come from
+ * docs/content/portfolio.json. Finally the search index is rebuilt from
+ * the generated pages. The markdown and JSON are the source of truth; the
+ * HTML files are build output that GitHub Pages serves.
+ *
+ * Usage:
+ *   node scripts/build.js            Build every page and the blog
+ *   node scripts/build.js about art  Build only the named pages
+ *   node scripts/build.js --drafts   Also build posts marked `draft: true` (local preview only)
+ *
+ * @fileoverview Static site build for nmokey.com
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DOCS_DIR, listPages, relative } = require('./lib/site');
+const { renderPage } = require('./lib/layout');
+const { loadPage } = require('./lib/pages');
+const { OUTPUT_DIR, loadPosts, renderBlog } = require('./lib/blog');
+const { loadPortfolio } = require('./lib/portfolio');
+const { SEARCH_INDEX_FILE, renderSearchIndex } = require('./lib/search');
+
+/**
+ * Writes a file only if its contents changed, and logs the result
+ *
+ * @param {string} file - Absolute path
+ * @param {string} contents - New contents
+ * @returns {boolean} True if the file was written
+ */
+function writeIfChanged(file, contents) {
+  const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  const written = current !== contents;
+
+  if (written) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+  }
+  console.log(`${written ? 'wrote    ' : 'unchanged'} ${relative(file)}`);
+  return written;
+}
+
+/**
+ * Lists every file currently under a folder (recursively)
+ *
+ * @param {string} dir - Absolute folder path
+ * @returns {string[]} Absolute file paths
+ */
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(file) : [file];
+  });
+}
+
+/**
+ * Builds the blog and removes generated files that no longer have a source
+ * (renamed or deleted posts, unused tags, drafts after a --drafts preview)
+ *
+ * @param {Object[]} posts - Posts from loadPosts()
+ * @returns {void}
+ */
+function buildBlog(posts) {
+  const files = renderBlog(posts);
+  files.forEach((contents, file) => writeIfChanged(file, contents));
+
+  listFiles(OUTPUT_DIR)
+    .filter(file => !files.has(file))
+    .forEach(file => {
+      fs.unlinkSync(file);
+      console.log(`removed   ${relative(file)}`);
+    });
+
+  // Drop the tags/ folder once no post has a tag
+  const tagsDir = path.join(OUTPUT_DIR, 'tags');
+  if (fs.existsSync(tagsDir) && !fs.readdirSync(tagsDir).length) {
+    fs.rmdirSync(tagsDir);
+  }
+}
+
+/**
+ * Builds the requested pages (or all of them, plus the blog)
+ *
+ * @param {string[]} args - Command-line arguments
+ * @returns {void}
+ */
+function main(args) {
+  const drafts = args.includes('--drafts');
+  const names = args.filter(arg => !arg.startsWith('--'));
+  const pages = listPages();
+  const selected = names.length ? pages.filter(page => names.includes(page.name)) : pages;
+
+  const unknown = names.filter(name => !pages.some(page => page.name === name));
+  if (unknown.length) {
+    console.error(`Unknown page(s): ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  const posts = loadPosts({ drafts });
+  const portfolio = loadPortfolio();
+
+  selected.forEach(entry => {
+    writeIfChanged(entry.output, renderPage(loadPage(entry, { posts, portfolio })));
+  });
+
+  if (!names.length) {
+    buildBlog(posts);
+  }
+
+  // Always rebuilt from what is on disk, so a partial build keeps it current
+  const indexed = [...pages.map(entry => entry.output), ...posts.map(post => path.join(DOCS_DIR, post.file))];
+  writeIfChanged(SEARCH_INDEX_FILE, renderSearchIndex(indexed));
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Content Drift Checker
+ *
+ * Compares each docs/content/*.md with its published docs/*.html page
+ * (same mapping as the build: index.html ↔ content/index.md, etc.) and
+ * reports headings, paragraphs, links, and images that are missing from
+ * the page, extra on the page, or changed. Exits non-zero on any drift,
+ * so it can guard commits where the markdown was edited but the page was
+ * not rebuilt (or the page was hand-edited).
+ *
+ * Usage:
+ *   node scripts/check-content.js            Check every page
+ *   node scripts/check-content.js about art  Check only the named pages
+ *
+ * @fileoverview Markdown ↔ HTML content drift checker for nmokey.com
+ */
+
+const fs = require('fs');
+const { listPages, relative } = require('./lib/site');
+const { renderBlocks } = require('./lib/markdown');
+const { extractContent } = require('./lib/html');
+const { loadPage } = require('./lib/pages');
+const { loadPosts } = require('./lib/blog');
+const { loadPortfolio } = require('./lib/portfolio');
+
+/**
+ * Content kinds compared, in report order
+ * @type {string[]}
+ */
+const KINDS = ['headings', 'paragraphs', 'links', 'images'];
+
+/**
+ * Computes an edit script between two string lists (LCS based)
+ *
+ * @param {string[]} expected - Items from the markdown
+ * @param {string[]} actual - Items from the HTML page
+ * @returns {Array<{op: string, value: string}>} Ops: 'same', 'missing', 'extra'
+ */
+function diffLists(expected, actual) {
+  const rows = expected.length;
+  const cols = actual.length;
+  const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = expected[i] === actual[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && expected[i] === actual[j]) {
+      ops.push({ op: 'same', value: expected[i] });
+      i++;
+      j++;
+    } else if (j < cols && (i === rows || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ op: 'extra', value: actual[j] });
+      j++;
+    } else {
+      ops.push({ op: 'missing', value: expected[i] });
+      i++;
+    }
+  }
+  return ops;
+}
+
+/**
+ * Turns an edit script into report entries
+ *
+ * A run of missing items next to a run of extra items is paired up as
+ * "changed", which reads better for edited text than a delete + add.
+ *
+ * @param {Array<{op: string, value: string}>} ops - Edit script from diffLists()
+ * @returns {Array<{type: string, expected?: string, actual?: string}>} Differences
+ */
+function describeChanges(ops) {
+  const changes = [];
+  let i = 0;
+
+  while (i < ops.length) {
+    if (ops[i].op === 'same') {
+      i++;
+      continue;
+    }
+
+    const missing = [];
+    const extra = [];
+    while (i < ops.length && ops[i].op !== 'same') {
+      (ops[i].op === 'missing' ? missing : extra).push(ops[i].value);
+      i++;
+    }
+
+    const paired = Math.min(missing.length, extra.length);
+    for (let k = 0; k < paired; k++) {
+      changes.push({ type: 'changed', expected: missing[k], actual: extra[k] });
+    }
+    missing.slice(paired).forEach(value => changes.push({ type: 'missing', expected: value }));
+    extra.slice(paired).forEach(value => changes.push({ type: 'extra', actual: value }));
+  }
+
+  return changes;
+}
+
+/**
+ * Shortens long values so the report stays readable
+ *
+ * @param {string} value - Item text
+ * @returns {string} Quoted, truncated text
+ */
+function quote(value) {
+  const limit = 100;
+  return JSON.stringify(value.length > limit ? `${value.slice(0, limit - 1)}…` : value);
+}
+
+/**
+ * Compares one page with its markdown
+ *
+ * Pages with `post_index` or `portfolio` are compared including the
+ * generated post list (published posts only, what production serves) or
+ * portfolio cards.
+ *
+ * @param {{name: string, source: string, output: string}} page - Page mapping entry
+ * @param {Object} sources - {posts, portfolio} passed to loadPage()
+ * @returns {string[]} Report lines (empty when the page matches)
+ */
+function checkPage(page, sources) {
+  if (!fs.existsSync(page.output)) {
+    return [`  missing page: ${relative(page.output)} does not exist`];
+  }
+
+  const { blocks } = loadPage(page, sources);
+  const expected = extractContent(renderBlocks(blocks).join('\n'));
+  const actual = extractContent(fs.readFileSync(page.output, 'utf8'));
+  const lines = [];
+
+  KINDS.forEach(kind => {
+    const changes = describeChanges(diffLists(expected[kind], actual[kind]));
+    if (!changes.length) return;
+
+    lines.push(`  ${kind}:`);
+    changes.forEach(change => {
+      if (change.type === 'changed') {
+        lines.push(`    ~ changed  ${quote(change.expected)}`);
+        lines.push(`               → ${quote(change.actual)}`);
+      } else if (change.type === 'missing') {
+        lines.push(`    - missing  ${quote(change.expected)}`);
+      } else {
+        lines.push(`    + extra    ${quote(change.actual)}`);
+      }
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Checks the requested pages (or all of them) and sets the exit code
+ *
+ * @param {string[]} names - Page names from the command line
+ * @returns {void}
+ */
+function main(names) {
+  const pages = listPages();
+  const unknown = names.filter(name => !pages.some(page => page.name === name));
+  if (unknown.length) {
+    console.error(`Unknown page(s): ${unknown.join(', ')}`);
+    process.exit(2);
+  }
+
+  const selected = names.length ? pages.filter(page => names.includes(page.name)) : pages;
+  const sources = { posts: loadPosts(), portfolio: loadPortfolio() };
+  let drifted = 0;
+
+  selected.forEach(page => {
+    const report = checkPage(page, sources);
+    const label = `${relative(page.output)} ↔ ${relative(page.source)}`;
+    if (report.length) {
+      drifted++;
+      console.log(`✗ ${label}`);
+      report.forEach(line => console.log(line));
+    } else {
+      console.log(`✓ ${label}`);
+    }
+  });
+
+  if (drifted) {
+    console.log(`\n${drifted} of ${selected.length} page(s) out of sync ` +
+      '("missing" = in markdown only, "extra" = in HTML only). Run node scripts/build.js to regenerate.');
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,484 @@
+/**
+ * Thoughts Blog Module
+ *
+ * Turns docs/content/thoughts/*.md (one file per post) into the thoughts
+ * section of the site: a post page per post with previous/next links, a
+ * tag archive page per tag, the post index shown on thoughts.html, and
+ * Atom/RSS feeds. Everything under docs/thoughts/ is generated.
+ *
+ * Post front matter:
+ * - title (required)
+ * - date (required, YYYY-MM-DD)
+ * - tags: [a, b]
+ * - draft: true to keep the post out of production output
+ * - description: summary for the index and feeds (defaults to the first paragraph)
+ * - updated: YYYY-MM-DD of the last meaningful edit (feeds only)
+ * - page_nav / scripts: passed through to the page shell
+ * - reading: false to leave out the reading time and progress bar (on by default)
+ * - vector_field: background field preset (default "reading", which has no field)
+ *
+ * Links and images in a post are written relative to the site root, like
+ * every other content file; the build rebases them for docs/thoughts/.
+ *
+ * @fileoverview Blog posts, tag archives, and feeds for nmokey.com
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT_DIR, CONTENT_DIR, DOCS_DIR, SITE, relative } = require('./site');
+const { parse, renderBlocks, renderInline, escapeHtml, escapeAttribute, slugify } = require('./markdown');
+const { renderPage, rebaseUrl, readingTime } = require('./layout');
+
+/**
+ * Folder holding one markdown file per post
+ * @type {string}
+ */
+const POSTS_DIR = path.join(CONTENT_DIR, 'thoughts');
+
+/**
+ * Generated output folder (site-relative and absolute)
+ * @type {string}
+ */
+const OUTPUT_PATH = 'thoughts';
+const OUTPUT_DIR = path.join(DOCS_DIR, OUTPUT_PATH);
+
+/**
+ * Feed metadata shared by Atom and RSS
+ * @type {Object}
+ */
+const FEED = {
+  title: `thoughts - ${SITE.author}`,
+  description: 'stories and thoughts that i want to write about',
+  page: 'thoughts.html',
+  atom: `${OUTPUT_PATH}/feed.xml`,
+  rss: `${OUTPUT_PATH}/rss.xml`
+};
+
+/**
+ * Month names for human-readable dates (lowercase, like the rest of the site)
+ * @type {string[]}
+ */
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+/**
+ * Formats a YYYY-MM-DD date as "october 1, 2026"
+ *
+ * @param {string} date - ISO date
+ * @returns {string} Readable date
+ */
+function formatDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return `${MONTHS[month - 1]} ${day}, ${year}`;
+}
+
+/**
+ * Converts a YYYY-MM-DD date to a Date at midnight UTC
+ *
+ * @param {string} date - ISO date
+ * @returns {Date} Date object
+ */
+function toDate(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+/**
+ * Returns a link from one site-relative file to another
+ *
+ * @param {string} from - Site-relative path of the page containing the link
+ * @param {string} to - Site-relative path of the target
+ * @returns {string} Relative href
+ */
+function linkFrom(from, to) {
+  return path.posix.relative(path.posix.dirname(from), to) || path.posix.basename(to);
+}
+
+/**
+ * Returns the prefix leading from a site-relative file back to the root
+ *
+ * @param {string} file - Site-relative path
+ * @returns {string} Root prefix ("" or "../", "../../", ...)
+ */
+function rootFor(file) {
+  return '../'.repeat(file.split('/').length - 1);
+}
+
+/**
+ * Strips tags and collapses whitespace
+ *
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+function plainText(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Builds a post summary from its description or first paragraph
+ *
+ * @param {Object} data - Post front matter
+ * @param {Object[]} blocks - Post blocks
+ * @returns {string} Plain-text summary (at most ~200 characters)
+ */
+function summarize(data, blocks) {
+  if (data.description) return String(data.description);
+
+  const paragraph = blocks.find(block => block.type === 'paragraph');
+  if (!paragraph) return '';
+
+  const text = plainText(renderInline(paragraph.text));
+  if (text.length <= 200) return text;
+  return `${text.slice(0, 200).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Validates a post's front matter, throwing a readable error on problems
+ *
+ * @param {string} file - Post file name (for messages)
+ * @param {Object} data - Post front matter
+ * @returns {void}
+ */
+function validatePost(file, data) {
+  const problems = [];
+  if (!data.title) problems.push('missing "title"');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(data.date || ''))) problems.push('"date" must be YYYY-MM-DD');
+  if (data.updated && !/^\d{4}-\d{2}-\d{2}$/.test(String(data.updated))) problems.push('"updated" must be YYYY-MM-DD');
+  if (data.tags !== undefined && !Array.isArray(data.tags)) problems.push('"tags" must be a list, e.g. [physics, music]');
+
+  if (problems.length) {
+    throw new Error(`content/thoughts/${file}: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Loads every post, newest first
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.drafts=false] - Include posts marked `draft: true`
+ * @returns {Object[]} Posts
+ */
+function loadPosts({ drafts = false } = {}) {
+  if (!fs.existsSync(POSTS_DIR)) return [];
+
+  return fs.readdirSync(POSTS_DIR)
+    .filter(file => file.endsWith('.md'))
+    .map(file => {
+      const { data, blocks } = parse(fs.readFileSync(path.join(POSTS_DIR, file), 'utf8'));
+      validatePost(file, data);
+
+      const slug = file.replace(/\.md$/, '');
+      const tags = (data.tags || []).map(String);
+      return {
+        slug,
+        title: String(data.title),
+        date: String(data.date),
+        updated: String(data.updated || data.date),
+        tags,
+        draft: data.draft === true,
+        summary: summarize(data, blocks),
+        file: `${OUTPUT_PATH}/${slug}.html`,
+        source: path.join(POSTS_DIR, file),
+        data,
+        blocks
+      };
+    })
+    .filter(post => drafts || !post.draft)
+    .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+}
+
+/**
+ * Site-relative path of a tag's archive page
+ *
+ * @param {string} tag - Tag name
+ * @returns {string} Site-relative path
+ */
+function tagFile(tag) {
+  return `${OUTPUT_PATH}/tags/${slugify(tag)}.html`;
+}
+
+/**
+ * Renders tag links for a post
+ *
+ * @param {string[]} tags - Tag names
+ * @param {string} from - Site-relative path of the page the links appear on
+ * @returns {string} HTML
+ */
+function renderTags(tags, from) {
+  return tags
+    .map(tag => `<a class="post-tag" href="${escapeAttribute(linkFrom(from, tagFile(tag)))}">#${escapeHtml(tag)}</a>`)
+    .join(' ');
+}
+
+/**
+ * Renders a list of posts (used by thoughts.html and tag pages)
+ *
+ * @param {Object[]} posts - Posts, newest first
+ * @param {string} from - Site-relative path of the page the list appears on
+ * @returns {Object[]} Blocks to append to the page
+ */
+function postListBlocks(posts, from) {
+  if (!posts.length) {
+    return [{ type: 'html', html: '<p class="post-list-empty">nothing here yet - check back soon.</p>' }];
+  }
+
+  const items = posts.map(post => {
+    const lines = [
+      '  <li class="post-list-item">',
+      `    <a class="post-list-title" href="${escapeAttribute(linkFrom(from, post.file))}">${escapeHtml(post.title)}</a>`,
+      `    <p class="post-meta"><time datetime="${post.date}">${formatDate(post.date)}</time>` +
+        `${post.draft ? ' <span class="post-draft">draft</span>' : ''}` +
+        `${post.tags.length ? ` · ${renderTags(post.tags, from)}` : ''}</p>`
+    ];
+    if (post.summary) {
+      lines.push(`    <p class="post-list-summary">${escapeHtml(post.summary)}</p>`);
+    }
+    lines.push('  </li>');
+    return lines.join('\n');
+  });
+
+  return [{ type: 'html', html: ['<ul class="post-list">', ...items, '</ul>'].join('\n') }];
+}
+
+/**
+ * Renders a post page
+ *
+ * @param {Object} post - Post to render
+ * @param {?Object} older - Previous (older) post
+ * @param {?Object} newer - Next (newer) post
+ * @returns {string} Full HTML document
+ */
+function renderPost(post, older, newer) {
+  const from = post.file;
+  const reading = post.data.reading !== false;
+  const { words, minutes } = readingTime(post.blocks);
+  const header = [
+    '<header class="post-header">',
+    `  <h1>${escapeHtml(post.title)}</h1>`,
+    `  <p class="post-meta"><time datetime="${post.date}">${formatDate(post.date)}</time>` +
+      `${post.draft ? ' <span class="post-draft">draft</span>' : ''}` +
+      `${reading ? ` · <span class="reading-time" title="${words} words">${minutes} min read</span>` : ''}` +
+      `${post.tags.length ? ` · ${renderTags(post.tags, from)}` : ''}</p>`,
+    '</header>'
+  ].join('\n');
+
+  const nav = ['<nav class="post-nav" aria-label="More thoughts">'];
+  nav.push(older
+    ? `  <a class="post-nav-prev" href="${escapeAttribute(linkFrom(from, older.file))}" rel="prev">← ${escapeHtml(older.title)}</a>`
+    : '  <span class="post-nav-prev"></span>');
+  nav.push(`  <a class="post-nav-index" href="${escapeAttribute(linkFrom(from, FEED.page))}">all thoughts</a>`);
+  nav.push(newer
+    ? `  <a class="post-nav-next" href="${escapeAttribute(linkFrom(from, newer.file))}" rel="next">${escapeHtml(newer.title)} →</a>`
+    : '  <span class="post-nav-next"></span>');
+  nav.push('</nav>');
+
+  return renderPage({
+    name: post.slug,
+    root: rootFor(from),
+    data: {
+      ...post.data,
+      title: `${post.title} - ${SITE.author}`,
+      description: post.summary || SITE.defaultDescription,
+      robots: post.draft ? 'noindex' : post.data.robots,
+      vector_field: post.data.vector_field || 'reading',
+      reading,
+      feed: true
+    },
+    blocks: [
+      { type: 'html', html: header },
+      ...post.blocks,
+      { type: 'html', html: nav.join('\n') }
+    ]
+  });
+}
+
+/**
+ * Renders a tag archive page
+ *
+ * @param {string} tag - Tag name
+ * @param {Object[]} posts - Posts with the tag, newest first
+ * @returns {string} Full HTML document
+ */
+function renderTagPage(tag, posts) {
+  const from = tagFile(tag);
+  return renderPage({
+    name: slugify(tag),
+    root: rootFor(from),
+    data: {
+      title: `#${tag} - thoughts - ${SITE.author}`,
+      description: `thoughts tagged #${tag}`,
+      feed: true
+    },
+    blocks: [
+      { type: 'html', html: `<h1>#${escapeHtml(tag)}</h1>` },
+      { type: 'html', html: `<p><a href="${escapeAttribute(linkFrom(from, FEED.page))}">← all thoughts</a></p>` },
+      ...postListBlocks(posts, from)
+    ]
+  });
+}
+
+/**
+ * Renders a post's body as standalone HTML with absolute URLs, for feeds
+ *
+ * @param {Object} post - Post
+ * @returns {string} HTML
+ */
+function feedContent(post) {
+  const base = `${SITE.url}/`;
+  const options = { resolveUrl: url => new URL(rebaseUrl(url, ''), base).href };
+  return renderBlocks(post.blocks, '', options).join('\n');
+}
+
+/**
+ * Date the feed was last updated when it has no posts: the last commit
+ * touching content/thoughts/, or today outside a git checkout
+ *
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function emptyFeedDate() {
+  let date = '';
+  try {
+    date = execFileSync(
+      'git',
+      ['log', '-1', '--format=%cs', '--', relative(POSTS_DIR)],
+      { cwd: ROOT_DIR, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+    ).trim();
+  } catch (error) {
+    // Not a git checkout - fall through to today's date
+  }
+  return date || new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Renders the Atom feed
+ *
+ * @param {Object[]} posts - Published posts, newest first
+ * @returns {string} Atom XML
+ */
+function renderAtom(posts) {
+  const updated = posts.length
+    ? posts.reduce((latest, post) => (post.updated > latest ? post.updated : latest), posts[0].updated)
+    : emptyFeedDate();
+  const entries = posts.map(post => [
+    '  <entry>',
+    `    <title>${escapeHtml(post.title)}</title>`,
+    `    <link href="${SITE.url}/${post.file}" rel="alternate" type="text/html"/>`,
+    `    <id>${SITE.url}/${post.file}</id>`,
+    `    <published>${post.date}T00:00:00Z</published>`,
+    `    <updated>${post.updated}T00:00:00Z</updated>`,
+    ...post.tags.map(tag => `    <category term="${escapeAttribute(tag)}"/>`),
+    ...(post.summary ? [`    <summary>${escapeHtml(post.summary)}</summary>`] : []),
+    `    <content type="html">${escapeHtml(feedContent(post))}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeHtml(FEED.title)}</title>`,
+    `  <subtitle>${escapeHtml(FEED.description)}</subtitle>`,
+    `  <link href="${SITE.url}/${FEED.atom}" rel="self" type="application/atom+xml"/>`,
+    `  <link href="${SITE.url}/${FEED.page}" rel="alternate" type="text/html"/>`,
+    `  <id>${SITE.url}/${FEED.page}</id>`,
+    `  <updated>${updated}T00:00:00Z</updated>`,
+    '  <author>',
+    `    <name>${escapeHtml(SITE.author)}</name>`,
+    '  </author>',
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders the RSS 2.0 feed
+ *
+ * @param {Object[]} posts - Published posts, newest first
+ * @returns {string} RSS XML
+ */
+function renderRss(posts) {
+  const items = posts.map(post => [
+    '    <item>',
+    `      <title>${escapeHtml(post.title)}</title>`,
+    `      <link>${SITE.url}/${post.file}</link>`,
+    `      <guid isPermaLink="true">${SITE.url}/${post.file}</guid>`,
+    `      <pubDate>${toDate(post.date).toUTCString()}</pubDate>`,
+    ...post.tags.map(tag => `      <category>${escapeHtml(tag)}</category>`),
+    `      <description>${escapeHtml(feedContent(post))}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  const channel = [
+    `    <title>${escapeHtml(FEED.title)}</title>`,
+    `    <link>${SITE.url}/${FEED.page}</link>`,
+    `    <description>${escapeHtml(FEED.description)}</description>`,
+    '    <language>en</language>',
+    `    <atom:link href="${SITE.url}/${FEED.rss}" rel="self" type="application/rss+xml"/>`
+  ];
+  if (posts.length) {
+    channel.push(`    <lastBuildDate>${toDate(posts[0].date).toUTCString()}</lastBuildDate>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    ...channel,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders every generated blog file
+ *
+ * Previous/next links follow date order. Drafts (when included) are linked
+ * from each other but never appear in the feeds.
+ *
+ * @param {Object[]} posts - Posts from loadPosts(), newest first
+ * @returns {Map<string, string>} Absolute output path → file contents
+ */
+function renderBlog(posts) {
+  const files = new Map();
+  const output = file => path.join(DOCS_DIR, file);
+
+  posts.forEach((post, index) => {
+    const newer = posts[index - 1] || null;
+    const older = posts[index + 1] || null;
+    files.set(output(post.file), renderPost(post, older, newer));
+  });
+
+  const tags = new Map();
+  posts.forEach(post => post.tags.forEach(tag => {
+    if (!tags.has(tag)) tags.set(tag, []);
+    tags.get(tag).push(post);
+  }));
+  [...tags.keys()].sort().forEach(tag => {
+    files.set(output(tagFile(tag)), renderTagPage(tag, tags.get(tag)));
+  });
+
+  const published = posts.filter(post => !post.draft);
+  files.set(output(FEED.atom), renderAtom(published));
+  files.set(output(FEED.rss), renderRss(published));
+
+  return files;
+}
+
+module.exports = {
+  POSTS_DIR,
+  OUTPUT_DIR,
+  loadPosts,
+  postListBlocks,
+  renderBlog
+};
@@ -0,0 +1,305 @@
+/**
+ * HTML Content Extraction
+ *
+ * Tiny, forgiving HTML tokenizer that pulls the readable content out of a
+ * page: headings, paragraphs (including list items), links, and images for
+ * the drift checker, and heading-delimited sections for the search index.
+ * It is not a general parser - just enough to compare what a page says
+ * with what its markdown says.
+ *
+ * @fileoverview HTML content extraction for nmokey.com tooling
+ */
+
+/**
+ * Elements whose text is collected as one content item, by kind
+ * @type {Object<string, string>}
+ */
+const TEXT_ELEMENTS = {
+  h1: 'headings',
+  h2: 'headings',
+  h3: 'headings',
+  h4: 'headings',
+  h5: 'headings',
+  h6: 'headings',
+  p: 'paragraphs',
+  li: 'paragraphs'
+};
+
+/**
+ * Elements whose contents are never page text
+ * @type {string[]}
+ */
+const SKIPPED_ELEMENTS = ['script', 'style', 'template', 'noscript'];
+
+/**
+ * Classes of build-generated details (reading time, post date and tags)
+ * that are left out of search sections
+ * @type {string[]}
+ */
+const SKIPPED_SECTION_CLASSES = ['reading-time', 'post-meta'];
+
+/**
+ * Elements that never have a closing tag
+ * @type {string[]}
+ */
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+/**
+ * Named entities worth decoding; anything else is left as written
+ * @type {Object<string, string>}
+ */
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  bull: '•'
+};
+
+/**
+ * Decodes HTML entities in a string
+ *
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * Collapses whitespace and trims
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parses a tag's attribute string into an object
+ *
+ * @param {string} source - Attribute text, e.g. ` src="a.jpg" alt="b"`
+ * @returns {Object<string, string>} Attributes (values decoded)
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+    attrs[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attrs;
+}
+
+/**
+ * Returns the part of a document inside <main>, or the whole body
+ *
+ * @param {string} html - Full HTML document
+ * @returns {string} Content HTML
+ */
+function contentRegion(html) {
+  const main = /<main\b[^>]*>([\s\S]*)<\/main>/i.exec(html);
+  if (main) return main[1];
+  const body = /<body\b[^>]*>([\s\S]*)<\/body>/i.exec(html);
+  return body ? body[1] : html;
+}
+
+/**
+ * Extracts headings, paragraphs, links, and images from HTML
+ *
+ * Text of nested blocks (a list inside a list item) belongs to the
+ * innermost block, so an outer <li> only holds its own words.
+ *
+ * @param {string} html - HTML document or fragment
+ * @returns {{headings: string[], paragraphs: string[], links: string[], images: string[]}} Content items
+ */
+function extractContent(html) {
+  const content = { headings: [], paragraphs: [], links: [], images: [] };
+  const blocks = []; // Open text collectors, innermost last
+  const links = []; // Open <a> collectors, innermost last
+  let skipping = null;
+
+  const tokens = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)([^>]*)>|([^<]+|<)/g;
+  let match;
+
+  while ((match = tokens.exec(contentRegion(html)))) {
+    const [, closing, rawName, rawAttrs, text] = match;
+
+    if (text !== undefined) {
+      if (skipping) continue;
+      const decoded = decodeEntities(text);
+      if (blocks.length) blocks[blocks.length - 1].text += decoded;
+      links.forEach(link => { link.text += decoded; });
+      continue;
+    }
+
+    if (!rawName) continue; // Comment
+
+    const name = rawName.toLowerCase();
+
+    if (skipping) {
+      if (closing && name === skipping) skipping = null;
+      continue;
+    }
+
+    if (!closing && SKIPPED_ELEMENTS.includes(name)) {
+      skipping = name;
+      continue;
+    }
+
+    if (name === 'br' && blocks.length) {
+      blocks[blocks.length - 1].text += ' ';
+    } else if (name === 'img' && !closing) {
+      const attrs = parseAttributes(rawAttrs);
+      content.images.push(`${normalizeText(attrs.alt || '')} (${attrs.src || ''})`);
+    } else if (name === 'a') {
+      if (!closing) {
+        links.push({ href: parseAttributes(rawAttrs).href || '', text: '' });
+      } else if (links.length) {
+        const link = links.pop();
+        content.links.push(`${normalizeText(link.text)} → ${link.href}`);
+      }
+    } else if (TEXT_ELEMENTS[name]) {
+      if (!closing) {
+        blocks.push({ name, text: '' });
+      } else {
+        // Close up to the matching element, tolerating unclosed children
+        const index = blocks.map(block => block.name).lastIndexOf(name);
+        if (index !== -1) {
+          blocks.splice(index).reverse().forEach(block => {
+            const value = normalizeText(block.text);
+            if (value) content[TEXT_ELEMENTS[block.name]].push(value);
+          });
+        }
+      }
+    }
+  }
+
+  // Emit anything left open at the end of the document, in document order
+  blocks.forEach(block => {
+    const value = normalizeText(block.text);
+    if (value) content[TEXT_ELEMENTS[block.name]].push(value);
+  });
+
+  return content;
+}
+
+/**
+ * Splits a page's content into sections, one per heading
+ *
+ * Each section has the heading text, its level, the id to link to, and the
+ * text that follows it up to the next heading. The id is the heading's own
+ * id or, failing that, the nearest enclosing element's (a
+ * section.content-section or a portfolio card). Text before the first
+ * heading is returned as `lead`. Generated details such as the reading
+ * time and post meta line are skipped (SKIPPED_SECTION_CLASSES).
+ *
+ * @param {string} html - HTML document or fragment
+ * @param {Object} [options]
+ * @param {number} [options.maxLevel=3] - Deeper headings are folded into the section above
+ * @returns {{lead: string, sections: Array<{title: string, level: number, id: ?string, text: string}>}} Sections
+ */
+function extractSections(html, { maxLevel = 3 } = {}) {
+  const sections = [];
+  const open = []; // Open elements with their ids, innermost last
+  let lead = '';
+  let heading = null;
+  let skipping = null;
+
+  const append = text => {
+    if (heading) heading.title += text;
+    else if (sections.length) sections[sections.length - 1].text += text;
+    else lead += text;
+  };
+
+  const tokens = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)([^>]*)>|([^<]+|<)/g;
+  let match;
+
+  while ((match = tokens.exec(contentRegion(html)))) {
+    const [, closing, rawName, rawAttrs, text] = match;
+
+    if (text !== undefined) {
+      if (!skipping) append(decodeEntities(text));
+      continue;
+    }
+
+    if (!rawName) continue; // Comment
+
+    const name = rawName.toLowerCase();
+
+    if (skipping) {
+      if (closing && name === skipping) skipping = null;
+      continue;
+    }
+
+    if (!closing && SKIPPED_ELEMENTS.includes(name)) {
+      skipping = name;
+      continue;
+    }
+
+    const level = /^h([1-6])$/.exec(name) ? Number(name[1]) : 0;
+
+    if (closing) {
+      const index = open.map(element => element.name).lastIndexOf(name);
+      if (index !== -1) open.splice(index);
+
+      if (level && heading && heading.name === name) {
+        sections.push({ title: normalizeText(heading.title), level: heading.level, id: heading.id, text: '' });
+        heading = null;
+      } else {
+        append(' ');
+      }
+      continue;
+    }
+
+    if (VOID_ELEMENTS.includes(name) || /\/\s*$/.test(rawAttrs)) {
+      append(' ');
+      continue;
+    }
+
+    const attrs = parseAttributes(rawAttrs);
+    if ((attrs.class || '').split(/\s+/).some(name => SKIPPED_SECTION_CLASSES.includes(name))) {
+      skipping = name;
+      continue;
+    }
+
+    const id = attrs.id || null;
+    if (level && level <= maxLevel && !heading) {
+      const enclosing = open.slice().reverse().find(element => element.id);
+      heading = { name, level, id: id || (enclosing ? enclosing.id : null), title: '' };
+    } else {
+      append(' ');
+    }
+    open.push({ name, id });
+  }
+
+  return {
+    lead: normalizeText(lead),
+    sections: sections
+      .map(section => ({ ...section, text: normalizeText(section.text) }))
+      .filter(section => section.title)
+  };
+}
+
+module.exports = {
+  extractContent,
+  extractSections,
+  decodeEntities,
+  normalizeText,
+  parseAttributes
+};
@@ -0,0 +1,454 @@
+/**
+ * Page Layout Module
+ *
+ * Wraps rendered markdown in the shared page shell every page uses: head
+ * and meta tags, the config and theme scripts, the gtag snippet, the hamburger menu markup, the
+ * main.page-content container, the footer placeholder, and script tags.
+ *
+ * Front matter keys understood here:
+ * - title, description, keywords, author, robots
+ * - url, image, social_title, social_description (Open Graph/Twitter/canonical)
+ * - structured_data: path (relative to content/) of a JSON-LD file
+ * - layout: "page" (default, narrow container) or "sections"
+ * - page_nav: true to add the #pageNav sidebar and page-nav.js (H1 headings), or
+ *   the heading levels to list, e.g. 2 for H1-H2 or "2-3" (rendered as data-levels)
+ * - scripts: extra script paths loaded after the shared ones
+ * - reading: true to add reading-progress.js (progress bar and "continue
+ *   where you left off"); pages.js adds the reading time under the H1
+ * - feed: true to advertise the thoughts Atom/RSS feeds in the head
+ * - vector_field: background field preset from vectorFieldPresets in config.js,
+ *   optionally followed by overrides, e.g. "quiet" or "quiet opacity=0.3"
+ *   ("off" removes the field)
+ * - vector_field_mode: "arrows" (default), "lines", or "flow" for the background
+ * - vector_field_model: field model for the background, e.g. "coulomb" or a
+ *   vectorFieldModels key from config.js (default "classic")
+ *
+ * Pages generated into subfolders (thoughts posts, tag archives) pass a
+ * `root` prefix such as "../" so asset paths still resolve; it is exposed
+ * to the browser as <body data-root> for links built in JavaScript.
+ *
+ * @fileoverview Shared page shell for generated nmokey.com pages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONTENT_DIR, SITE } = require('./site');
+const { renderBlocks, escapeAttribute, escapeHtml, slugify } = require('./markdown');
+
+/**
+ * Scripts loaded in <head>, before first paint: the site config and the
+ * theme startup that needs it
+ * @type {string[]}
+ */
+const HEAD_SCRIPTS = [
+  'assets/js/config.js',
+  'assets/js/theme.js'
+];
+
+/**
+ * Scripts every page loads at the end of <body>, in order
+ * @type {string[]}
+ */
+const BASE_SCRIPTS = [
+  'assets/js/components.js',
+  'assets/js/main.js',
+  'assets/js/vector-field.js',
+  'assets/js/vector-field-share.js',
+  'assets/js/search.js'
+];
+
+/**
+ * Reading speed behind the estimated reading time, in words per minute
+ * @type {number}
+ */
+const WORDS_PER_MINUTE = 200;
+
+/**
+ * Prefixes a site-relative URL so it resolves from a page in a subfolder
+ * Absolute URLs, root-relative paths, and fragments are left alone
+ *
+ * @param {string} url - URL as written in the content
+ * @param {string} root - Prefix leading back to the site root (e.g. "../")
+ * @returns {string} Rebased URL
+ */
+function rebaseUrl(url, root) {
+  if (!root || /^(?:[a-z][a-z\d+.-]*:|\/|#|\?)/i.test(url)) {
+    return url;
+  }
+  return root + url;
+}
+
+/**
+ * Indents every non-empty line of a block of text
+ *
+ * @param {string} text - Text to indent
+ * @param {string} indent - Prefix to add
+ * @returns {string} Indented text
+ */
+function indentLines(text, indent) {
+  return text.split('\n').map(line => (line.trim() ? `${indent}${line}` : '')).join('\n');
+}
+
+/**
+ * Renders the optional search/social meta tags from front matter
+ *
+ * @param {Object} data - Page front matter
+ * @returns {string[]} Head lines
+ */
+function renderMeta(data) {
+  const lines = [];
+
+  if (data.keywords) lines.push(`  <meta name="keywords" content="${escapeAttribute(data.keywords)}">`);
+  if (data.author) lines.push(`  <meta name="author" content="${escapeAttribute(data.author)}">`);
+  if (data.robots) lines.push(`  <meta name="robots" content="${escapeAttribute(data.robots)}">`);
+
+  if (data.url) {
+    const title = escapeAttribute(data.social_title || data.title);
+    const description = escapeAttribute(data.social_description || data.description || SITE.defaultDescription);
+    const url = escapeAttribute(data.url);
+
+    lines.push('  ');
+    lines.push('  <!-- Open Graph / Facebook -->');
+    lines.push('  <meta property="og:type" content="website">');
+    lines.push(`  <meta property="og:url" content="${url}">`);
+    lines.push(`  <meta property="og:title" content="${title}">`);
+    lines.push(`  <meta property="og:description" content="${description}">`);
+    if (data.image) lines.push(`  <meta property="og:image" content="${escapeAttribute(data.image)}">`);
+    lines.push('  ');
+    lines.push('  <!-- Twitter -->');
+    lines.push('  <meta property="twitter:card" content="summary_large_image">');
+    lines.push(`  <meta property="twitter:url" content="${url}">`);
+    lines.push(`  <meta property="twitter:title" content="${title}">`);
+    lines.push(`  <meta property="twitter:description" content="${description}">`);
+    if (data.image) lines.push(`  <meta property="twitter:image" content="${escapeAttribute(data.image)}">`);
+    lines.push('  ');
+    lines.push('  <!-- Canonical URL -->');
+    lines.push(`  <link rel="canonical" href="${url}">`);
+    lines.push('  ');
+  }
+
+  return lines;
+}
+
+/**
+ * Renders the JSON-LD block named by `structured_data`, if any
+ *
+ * @param {Object} data - Page front matter
+ * @returns {string[]} Head lines
+ */
+function renderStructuredData(data) {
+  if (!data.structured_data) return [];
+
+  const file = path.join(CONTENT_DIR, data.structured_data);
+  const json = fs.readFileSync(file, 'utf8').trim();
+  // Round-trip through JSON.parse so a typo fails the build instead of shipping
+  JSON.parse(json);
+
+  return [
+    '  ',
+    '  <!-- Structured Data (JSON-LD) for SEO -->',
+    '  <script type="application/ld+json">',
+    indentLines(json, '  '),
+    '  </script>'
+  ];
+}
+
+/**
+ * Renders the document head
+ *
+ * @param {Object} page - Page being rendered
+ * @returns {string} Head HTML
+ */
+function renderHead(page) {
+  const { data } = page;
+  const root = page.root || '';
+  const title = data.title || `${page.name} - ${SITE.author}`;
+  const description = data.description || SITE.defaultDescription;
+
+  return [
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <meta http-equiv="X-UA-Compatible" content="IE=edge">',
+    '  <meta name="viewport" content="width=device-width, initial-scale=1">',
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <meta name="description" content="${escapeAttribute(description)}">`,
+    ...renderMeta(data),
+    ...HEAD_SCRIPTS.map(src => `  <script src="${escapeAttribute(root + src)}"></script>`),
+    `  <link rel="stylesheet" href="${root}assets/css/main.css">`,
+    `  <link rel="stylesheet" href="${root}assets/css/components.css">`,
+    `  <link rel="icon" type="image/x-icon" href="${root}assets/favicons/favicon.ico">`,
+    ...(data.feed ? [
+      `  <link rel="alternate" type="application/atom+xml" title="thoughts - ${SITE.author}" href="${root}thoughts/feed.xml">`,
+      `  <link rel="alternate" type="application/rss+xml" title="thoughts - ${SITE.author}" href="${root}thoughts/rss.xml">`
+    ] : []),
+    '  <!-- Google tag (gtag.js) -->',
+    `  <script async src="https://www.googletagmanager.com/gtag/js?id=${SITE.analyticsId}"></script>`,
+    '  <script>',
+    '    window.dataLayer = window.dataLayer || [];',
+    '    function gtag() { dataLayer.push(arguments); }',
+    '    gtag(\'js\', new Date());',
+    `    gtag('config', '${SITE.analyticsId}');`,
+    '  </script>',
+    ...renderStructuredData(data),
+    '</head>'
+  ].join('\n');
+}
+
+/**
+ * Renders the hamburger menu markup filled in by renderNavigation()
+ *
+ * @returns {string} Menu HTML
+ */
+function renderMenu() {
+  return [
+    '  <!-- Hamburger Menu -->',
+    '  <div class="menu-toggle" id="siteMenu">',
+    '    <button class="menu-button" id="menuToggle" type="button" aria-label="Menu" aria-expanded="false" aria-controls="navMenu">',
+    '      <span class="menu-icon" aria-hidden="true">',
+    '        <span></span>',
+    '        <span></span>',
+    '        <span></span>',
+    '      </span>',
+    '    </button>',
+    '    <!-- Navigation Menu - Floating Dropdown -->',
+    '    <nav class="nav-menu" id="navMenu" aria-label="Site">',
+    '      <!-- Navigation will be inserted here by JavaScript -->',
+    '    </nav>',
+    '  </div>'
+  ].join('\n');
+}
+
+/**
+ * Groups blocks into section.content-section / section.content-subsection
+ *
+ * Every H1 opens a content-section (id from `{#id}` or the heading slug).
+ * An H2 with an explicit `{#id}` opens a content-subsection inside it;
+ * other H2s stay inline. Blocks before the first H1 are returned as the
+ * lead (e.g. the homepage hero).
+ *
+ * @param {Object[]} blocks - Parsed markdown blocks
+ * @returns {{lead: Object[], sections: Object[]}} Lead blocks and section blocks
+ */
+function groupSections(blocks) {
+  const lead = [];
+  const sections = [];
+  let section = null;
+  let subsection = null;
+
+  blocks.forEach(block => {
+    // Rules only separate sections in the markdown; the wrappers replace them
+    if (block.type === 'rule' && section) return;
+
+    if (block.type === 'heading' && block.level === 1) {
+      const text = block.text.replace(/<[^>]+>/g, '').trim();
+      section = {
+        type: 'section',
+        id: block.id || slugify(text),
+        classes: ['content-section'],
+        children: [{ ...block, id: null }]
+      };
+      subsection = null;
+      sections.push(section);
+      return;
+    }
+
+    if (!section) {
+      lead.push(block);
+      return;
+    }
+
+    if (block.type === 'heading' && block.level === 2) {
+      if (block.id) {
+        subsection = {
+          type: 'section',
+          id: block.id,
+          classes: ['content-subsection'],
+          children: [{ ...block, id: null }]
+        };
+        section.children.push(subsection);
+        return;
+      }
+      subsection = null;
+    }
+
+    (subsection || section).children.push(block);
+  });
+
+  return { lead, sections };
+}
+
+/**
+ * Gives every markdown heading an id so search results and shared links can
+ * point at it
+ *
+ * Ids are the heading slug (the same one PageNavigation would generate),
+ * made unique with -2, -3, ... against every other id on the page, including
+ * ids in raw HTML blocks (portfolio cards and group headings). A section's
+ * own heading is skipped, since the section already carries the id.
+ *
+ * @param {Object[]} blocks - Blocks (or grouped sections) to render
+ * @returns {Object[]} Blocks with heading ids filled in
+ */
+function anchorHeadings(blocks) {
+  const used = new Set();
+  (function collect(list) {
+    list.forEach(block => {
+      if (block.id) used.add(block.id);
+      if (block.type === 'html') {
+        (block.html.match(/\sid="[^"]*"/g) || []).forEach(attr => used.add(attr.slice(5, -1)));
+      }
+      if (block.children) collect(block.children);
+    });
+  })(blocks);
+
+  const unique = base => {
+    let id = base || 'section';
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    return id;
+  };
+
+  return (function assign(list) {
+    return list.map(block => {
+      if (block.type === 'section') {
+        const [first, ...rest] = block.children;
+        return { ...block, children: [first, ...assign(rest)] };
+      }
+      if (block.type !== 'heading' || block.id) return block;
+      // Raw HTML inside a heading (e.g. a date-range span) is decoration, not part of the name
+      const text = block.text.replace(/<(\w+)[^>]*>[\s\S]*?<\/\1>/g, '').replace(/<[^>]+>/g, '').trim();
+      return { ...block, id: unique(slugify(text)) };
+    });
+  })(blocks);
+}
+
+/**
+ * Estimates how long blocks take to read from their word count
+ *
+ * @param {Object[]} blocks - Content blocks
+ * @returns {{words: number, minutes: number}} Word count and minutes (at least 1)
+ */
+function readingTime(blocks) {
+  const text = renderBlocks(blocks, '')
+    .join('\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z]+;|&#\d+;/gi, ' ');
+  const words = (text.match(/[\w'’-]+/g) || []).length;
+  return { words, minutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)) };
+}
+
+/**
+ * Renders the contents of main.page-content
+ *
+ * @param {Object} page - Page being rendered
+ * @returns {string} Main element HTML
+ */
+function renderMain(page) {
+  const { data, blocks } = page;
+  const root = page.root || '';
+  const options = root ? { resolveUrl: url => rebaseUrl(url, root) } : {};
+  const levels = data.page_nav && data.page_nav !== true ? ` data-levels="${escapeAttribute(String(data.page_nav))}"` : '';
+  const pageNav = `    <nav class="page-nav" id="pageNav"${levels} aria-label="Page navigation"></nav>`;
+  const lines = ['  <main class="page-content" aria-label="Content">'];
+
+  if (data.layout === 'sections') {
+    const grouped = groupSections(blocks);
+    const anchored = anchorHeadings([...grouped.lead, ...grouped.sections]);
+    const lead = anchored.slice(0, grouped.lead.length);
+    const sections = anchored.slice(grouped.lead.length);
+    if (lead.length) {
+      lines.push(...renderBlocks(lead, '    ', options), '');
+    }
+    if (data.page_nav) {
+      lines.push('    <!-- Page Navigation Sidebar -->', pageNav, '');
+    }
+    lines.push(
+      '    <!-- Content Sections -->',
+      '    <div class="content-sections">',
+      ...renderBlocks(sections, '      ', options),
+      '    </div>'
+    );
+  } else {
+    if (data.page_nav) {
+      lines.push(pageNav);
+    }
+    lines.push(
+      '    <div class="container-narrow">',
+      ...renderBlocks(anchorHeadings(blocks), '      ', options),
+      '    </div>'
+    );
+  }
+
+  lines.push('  </main>');
+  return lines.join('\n');
+}
+
+/**
+ * Renders the script tags: shared scripts, page-nav.js, reading-progress.js,
+ * then page extras
+ *
+ * @param {Object} data - Page front matter
+ * @param {string} root - Prefix leading back to the site root
+ * @returns {string} Script tag HTML
+ */
+function renderScripts(data, root) {
+  const scripts = [...BASE_SCRIPTS];
+  if (data.page_nav) scripts.push('assets/js/page-nav.js');
+  if (data.reading) scripts.push('assets/js/reading-progress.js');
+  (data.scripts || []).forEach(src => {
+    if (!scripts.includes(src)) scripts.push(src);
+  });
+  return scripts.map(src => `  <script src="${escapeAttribute(root + src)}"></script>`).join('\n');
+}
+
+/**
+ * Renders the opening <body> tag with the data attributes scripts read
+ *
+ * @param {Object} data - Front matter
+ * @param {string} root - Prefix back to the site root ("" or "../")
+ * @returns {string} Body tag
+ */
+function renderBodyTag(data, root) {
+  const attributes = [];
+  if (root) attributes.push(`data-root="${escapeAttribute(root)}"`);
+  if (data.vector_field) attributes.push(`data-vector-field="${escapeAttribute(String(data.vector_field))}"`);
+  if (data.vector_field_mode) attributes.push(`data-vector-field-mode="${escapeAttribute(String(data.vector_field_mode))}"`);
+  if (data.vector_field_model) attributes.push(`data-vector-field-model="${escapeAttribute(String(data.vector_field_model))}"`);
+  return attributes.length ? `<body ${attributes.join(' ')}>` : '<body>';
+}
+
+/**
+ * Renders a complete HTML page
+ *
+ * Output depends only on the page's markdown (and partials), so rebuilding
+ * unchanged content produces byte-identical files.
+ *
+ * @param {{name: string, data: Object, blocks: Object[], root?: string}} page - Parsed page
+ * @returns {string} Full HTML document
+ */
+function renderPage(page) {
+  const root = page.root || '';
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    renderHead(page),
+    renderBodyTag(page.data, root),
+    renderMenu(),
+    '',
+    renderMain(page),
+    '',
+    '  <footer class="site-footer" id="footer"></footer>',
+    '',
+    renderScripts(page.data, root),
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  renderPage,
+  groupSections,
+  rebaseUrl,
+  readingTime
+};
@@ -0,0 +1,621 @@
+/**
+ * Markdown Module
+ *
+ * Small, dependency-free markdown parser covering the subset the content
+ * files use: front matter, headings (with optional `{#id .class}`
+ * attributes), paragraphs, nested lists, blockquotes, fenced code, rules,
+ * raw HTML blocks, and inline emphasis/code/links/images.
+ *
+ * Parsing produces a plain block tree so other tools (the drift checker,
+ * the search index) can read the same structure the build renders.
+ *
+ * @fileoverview Markdown parsing and rendering for nmokey.com tooling
+ */
+
+/**
+ * Matches a list item marker and captures indent, marker, and content
+ * @type {RegExp}
+ */
+const LIST_ITEM = /^( *)([-*+]|\d+[.)])[ \t]+(.*)$/;
+
+/**
+ * Matches an ATX heading with an optional trailing attribute block
+ * @type {RegExp}
+ */
+const HEADING = /^(#{1,6})[ \t]+(.*?)[ \t]*#*[ \t]*$/;
+
+/**
+ * Matches a trailing `{#id .class}` attribute block on a heading
+ * @type {RegExp}
+ */
+const HEADING_ATTRS = /[ \t]*\{((?:[ \t]*[#.][\w-]+)+)[ \t]*\}$/;
+
+/**
+ * Matches a line that starts a raw HTML block
+ * @type {RegExp}
+ */
+const HTML_BLOCK = /^<\/?[a-zA-Z][\w-]*(?:\s|\/?>|$)|^<!--/;
+
+/**
+ * Matches a fenced code block opener
+ * @type {RegExp}
+ */
+const FENCE = /^(```+|~~~+)[ \t]*([\w-]*)/;
+
+/**
+ * Matches a thematic break (---, ***, ___)
+ * @type {RegExp}
+ */
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+
+/**
+ * Parses a front matter value into a string, boolean, number, or array
+ *
+ * @param {string} raw - Raw value text after the colon
+ * @returns {*} Parsed value
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (/^\[.*\]$/.test(value)) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(item => parseScalar(item)) : [];
+  }
+  const quoted = /^(["'])(.*)\1$/.exec(value);
+  return quoted ? quoted[2] : value;
+}
+
+/**
+ * Splits YAML-style front matter from a markdown document
+ *
+ * Supports `key: value` scalars, inline `[a, b]` lists, and block lists
+ * (`key:` followed by `  - item` lines). That is all the content needs.
+ *
+ * @param {string} source - Full markdown file contents
+ * @returns {{data: Object, body: string}} Front matter data and remaining markdown
+ */
+function parseFrontMatter(source) {
+  const text = source.replace(/\r\n?/g, '\n');
+  const match = /^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/.exec(text);
+  if (!match) {
+    return { data: {}, body: text };
+  }
+
+  const data = {};
+  let listKey = null;
+
+  match[1].split('\n').forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = /^\s+-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      return;
+    }
+
+    const pair = /^([\w-]+):(.*)$/.exec(line);
+    if (!pair) {
+      throw new Error(`Invalid front matter on line ${index + 2}: "${line}"`);
+    }
+
+    const [, key, rawValue] = pair;
+    if (rawValue.trim() === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = parseScalar(rawValue);
+      listKey = null;
+    }
+  });
+
+  return { data, body: text.slice(match[0].length) };
+}
+
+/**
+ * Generates a URL-friendly ID from heading text
+ * Mirrors PageNavigation.generateId() so ids agree with the browser
+ *
+ * @param {string} text - Plain heading text
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .trim();
+}
+
+/**
+ * Checks whether a line starts a block other than a paragraph
+ *
+ * @param {string} line - Line to test
+ * @returns {boolean} True if the line interrupts a paragraph
+ */
+function startsBlock(line) {
+  return HEADING.test(line) ||
+    RULE.test(line) ||
+    FENCE.test(line) ||
+    HTML_BLOCK.test(line) ||
+    /^ {0,3}>/.test(line) ||
+    LIST_ITEM.test(line);
+}
+
+/**
+ * Parses a heading line into a heading block
+ *
+ * @param {RegExpExecArray} match - Result of HEADING.exec()
+ * @returns {Object} Heading block
+ */
+function parseHeading(match) {
+  let text = match[2];
+  let id = null;
+  const classes = [];
+
+  const attrs = HEADING_ATTRS.exec(text);
+  if (attrs) {
+    text = text.slice(0, attrs.index);
+    attrs[1].trim().split(/\s+/).forEach(attr => {
+      if (attr.startsWith('#')) id = attr.slice(1);
+      else classes.push(attr.slice(1));
+    });
+  }
+
+  return { type: 'heading', level: match[1].length, text, id, classes };
+}
+
+/**
+ * Collects the lines belonging to one list, starting at `start`
+ *
+ * @param {string[]} lines - Document lines
+ * @param {number} start - Index of the first list item
+ * @returns {{block: Object, next: number}} List block and index after it
+ */
+function parseList(lines, start) {
+  const first = LIST_ITEM.exec(lines[start]);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const marker = LIST_ITEM.exec(lines[i]);
+    if (!marker || marker[1].length !== baseIndent || /\d/.test(marker[2]) !== ordered) {
+      break;
+    }
+
+    const contentIndent = marker[1].length + marker[2].length + 1;
+    const itemLines = [marker[3]];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        // A blank line only continues the item if indented content follows
+        let j = i;
+        while (j < lines.length && !lines[j].trim()) j++;
+        const nextIndent = j < lines.length ? lines[j].search(/\S/) : 0;
+        if (j < lines.length && nextIndent >= contentIndent) {
+          for (; i < j; i++) itemLines.push('');
+          loose = true;
+          continue;
+        }
+        if (j < lines.length && LIST_ITEM.test(lines[j]) && nextIndent === baseIndent) {
+          loose = true;
+        }
+        break;
+      }
+
+      const indent = line.search(/\S/);
+      if (indent >= contentIndent) {
+        itemLines.push(line.slice(contentIndent));
+      } else if (indent > baseIndent && LIST_ITEM.test(line)) {
+        // Nested list indented less than the content column
+        itemLines.push(line.slice(indent));
+      } else if (!startsBlock(line)) {
+        // Lazy continuation of the item's paragraph
+        itemLines.push(line.trim());
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    items.push({ children: parseBlocks(itemLines) });
+
+    // Skip blank lines between items of the same list
+    let j = i;
+    while (j < lines.length && !lines[j].trim()) j++;
+    const nextMarker = j < lines.length ? LIST_ITEM.exec(lines[j]) : null;
+    if (j > i && nextMarker && nextMarker[1].length === baseIndent) {
+      i = j;
+    }
+  }
+
+  return { block: { type: 'list', ordered, loose, items }, next: i };
+}
+
+/**
+ * Parses markdown body text into a tree of blocks
+ *
+ * Block types: heading, paragraph, list, blockquote, code, html, rule.
+ *
+ * @param {string[]|string} input - Markdown lines (or text)
+ * @returns {Object[]} Parsed blocks
+ */
+function parseBlocks(input) {
+  const lines = Array.isArray(input) ? input : input.split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', lang: fence[2] || null, code: code.join('\n') });
+      i++;
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push(parseHeading(heading));
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (HTML_BLOCK.test(line)) {
+      const html = [];
+      while (i < lines.length && lines[i].trim()) {
+        html.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'html', html: html.join('\n') });
+      continue;
+    }
+
+    if (/^ {0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && (/^ {0,3}>/.test(lines[i]) || !startsBlock(lines[i]))) {
+        quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+  }
+
+  return blocks;
+}
+
+/**
+ * Parses a full markdown document, including front matter
+ *
+ * @param {string} source - Markdown file contents
+ * @returns {{data: Object, blocks: Object[]}} Front matter and block tree
+ */
+function parse(source) {
+  const { data, body } = parseFrontMatter(source);
+  return { data, blocks: parseBlocks(body) };
+}
+
+/**
+ * Escapes text for use inside HTML content
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes text for use inside a double-quoted HTML attribute
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped attribute value
+ */
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Applies the caller's URL hook (if any) to a link or image target
+ *
+ * @param {string} url - URL as written in the markdown
+ * @param {Object} options - Render options
+ * @returns {string} URL to emit
+ */
+function resolve(url, options) {
+  return options.resolveUrl ? options.resolveUrl(url) : url;
+}
+
+/**
+ * Inline rules, tried in order at each position of the text
+ * Each rule gets (rest, previousChar, options) and returns [matchedLength, html] or null
+ * @type {Array<function(string, string, Object): ?Array>}
+ */
+const INLINE_RULES = [
+  // Backslash escapes
+  (rest) => {
+    const m = /^\\([\\`*_{}[\]()#+\-.!<>|])/.exec(rest);
+    return m && [m[0].length, escapeHtml(m[1])];
+  },
+  // Code spans
+  (rest) => {
+    const m = /^(`+)([\s\S]*?[^`])\1(?!`)/.exec(rest);
+    return m && [m[0].length, `<code>${escapeHtml(m[2].trim())}</code>`];
+  },
+  // Images
+  (rest, prev, options) => {
+    const m = /^!\[([^\]]*)\]\(\s*(\S+?)(?:\s+"([^"]*)")?\s*\)/.exec(rest);
+    if (!m) return null;
+    const title = m[3] ? ` title="${escapeAttribute(m[3])}"` : '';
+    return [m[0].length, `<img src="${escapeAttribute(resolve(m[2], options))}" alt="${escapeAttribute(m[1])}"${title}>`];
+  },
+  // Links (one level of nested brackets in the label)
+  (rest, prev, options) => {
+    const m = /^\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*(\S+?)(?:\s+"([^"]*)")?\s*\)/.exec(rest);
+    if (!m) return null;
+    const title = m[3] ? ` title="${escapeAttribute(m[3])}"` : '';
+    return [m[0].length, `<a href="${escapeAttribute(resolve(m[2], options))}"${title}>${renderInline(m[1], options)}</a>`];
+  },
+  // Angle-bracket autolinks
+  (rest) => {
+    const m = /^<((?:https?:|mailto:)[^>\s]+)>/.exec(rest);
+    if (!m) return null;
+    const label = m[1].replace(/^mailto:/, '');
+    return [m[0].length, `<a href="${escapeAttribute(m[1])}">${escapeHtml(label)}</a>`];
+  },
+  // Raw inline HTML tags and comments
+  (rest) => {
+    const m = /^(?:<\/?[a-zA-Z][\w-]*(?:\s+[\w:-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|<!--[\s\S]*?-->)/.exec(rest);
+    return m && [m[0].length, m[0]];
+  },
+  // Bare URLs
+  (rest, prev) => {
+    if (/[\w/"'=]/.test(prev)) return null;
+    const m = /^https?:\/\/[^\s<]*[^\s<.,;:!?'")\]]/.exec(rest);
+    return m && [m[0].length, `<a href="${escapeAttribute(m[0])}">${escapeHtml(m[0])}</a>`];
+  },
+  // Strong emphasis
+  (rest, prev, options) => {
+    const m = /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/.exec(rest);
+    if (!m || (m[1] === '__' && /\w/.test(prev))) return null;
+    return [m[0].length, `<strong>${renderInline(m[2], options)}</strong>`];
+  },
+  // Emphasis
+  (rest, prev, options) => {
+    const m = /^([*_])(?=[^\s*_])([\s\S]*?[^\s\\])\1(?!\1)/.exec(rest);
+    if (!m) return null;
+    if (m[1] === '_' && (/\w/.test(prev) || /^\w/.test(rest.slice(m[0].length)))) return null;
+    return [m[0].length, `<em>${renderInline(m[2], options)}</em>`];
+  },
+  // Entities pass through untouched
+  (rest) => {
+    const m = /^&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);/i.exec(rest);
+    return m && [m[0].length, m[0]];
+  }
+];
+
+/**
+ * Renders inline markdown (emphasis, code, links, images) to HTML
+ *
+ * @param {string} text - Inline markdown source
+ * @param {Object} [options] - Render options
+ * @param {function(string): string} [options.resolveUrl] - Rewrites markdown link/image URLs
+ * @returns {string} HTML
+ */
+function renderInline(text, options = {}) {
+  let html = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const prev = i > 0 ? text[i - 1] : '';
+    let matched = null;
+
+    for (const rule of INLINE_RULES) {
+      matched = rule(rest, prev, options);
+      if (matched) break;
+    }
+
+    if (matched) {
+      html += matched[1];
+      i += matched[0];
+    } else {
+      html += escapeHtml(text[i]);
+      i++;
+    }
+  }
+
+  // Soft line breaks collapse to spaces
+  return html.replace(/[ \t]*\n[ \t]*/g, ' ');
+}
+
+/**
+ * Checks whether a paragraph holds nothing but a single image
+ * Such paragraphs render as a bare <img>, like the hand-written pages did
+ *
+ * @param {Object} block - Paragraph block
+ * @returns {boolean} True if the paragraph is a lone image
+ */
+function isImageOnly(block) {
+  return /^!\[[^\]]*\]\([^)]*\)$/.test(block.text.trim());
+}
+
+/**
+ * Builds an HTML attribute string from a heading's id and classes
+ *
+ * @param {?string} id - Element id
+ * @param {string[]} classes - Class names
+ * @returns {string} Attribute string (with leading space) or empty string
+ */
+function attributes(id, classes) {
+  let attrs = '';
+  if (id) attrs += ` id="${escapeAttribute(id)}"`;
+  if (classes && classes.length) attrs += ` class="${escapeAttribute(classes.join(' '))}"`;
+  return attrs;
+}
+
+/**
+ * Renders one list item's contents
+ *
+ * @param {Object} item - List item
+ * @param {boolean} loose - Whether the list is loose (paragraphs kept)
+ * @param {string} indent - Indentation of the <li>
+ * @param {Object} options - Render options (see renderInline)
+ * @returns {string[]} HTML lines
+ */
+function renderListItem(item, loose, indent, options) {
+  const [first, ...rest] = item.children;
+
+  if (!first) {
+    return [`${indent}<li></li>`];
+  }
+
+  if (!loose && first.type === 'paragraph') {
+    if (rest.length === 0) {
+      return [`${indent}<li>${renderInline(first.text, options)}</li>`];
+    }
+    return [
+      `${indent}<li>${renderInline(first.text, options)}`,
+      ...renderBlocks(rest, `${indent}  `, options),
+      `${indent}</li>`
+    ];
+  }
+
+  return [
+    `${indent}<li>`,
+    ...renderBlocks(item.children, `${indent}  `, options),
+    `${indent}</li>`
+  ];
+}
+
+/**
+ * Renders a single block to indented HTML lines
+ *
+ * @param {Object} block - Block to render
+ * @param {string} indent - Indentation prefix for each line
+ * @param {Object} options - Render options (see renderInline)
+ * @returns {string[]} HTML lines
+ */
+function renderBlock(block, indent, options) {
+  switch (block.type) {
+    case 'heading': {
+      const tag = `h${block.level}`;
+      return [`${indent}<${tag}${attributes(block.id, block.classes)}>${renderInline(block.text, options)}</${tag}>`];
+    }
+
+    case 'paragraph':
+      if (isImageOnly(block)) {
+        return [`${indent}${renderInline(block.text, options)}`];
+      }
+      return [`${indent}<p>${renderInline(block.text, options)}</p>`];
+
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const items = block.items.map(item => renderListItem(item, block.loose, `${indent}  `, options));
+      return [`${indent}<${tag}>`, ...[].concat(...items), `${indent}</${tag}>`];
+    }
+
+    case 'blockquote':
+      return [`${indent}<blockquote>`, ...renderBlocks(block.children, `${indent}  `, options), `${indent}</blockquote>`];
+
+    case 'code': {
+      const lang = block.lang ? ` class="language-${escapeAttribute(block.lang)}"` : '';
+      // Code keeps its own whitespace, so only the opening line is indented
+      return [`${indent}<pre><code${lang}>${escapeHtml(block.code)}</code></pre>`];
+    }
+
+    case 'html':
+      return block.html.split('\n').map(line => (line.trim() ? `${indent}${line}` : ''));
+
+    case 'rule':
+      return [`${indent}<hr>`];
+
+    case 'section':
+      return [
+        `${indent}<section${attributes(block.id, block.classes)}>`,
+        ...renderBlocks(block.children, `${indent}  `, options),
+        `${indent}</section>`
+      ];
+
+    default:
+      throw new Error(`Unknown block type "${block.type}"`);
+  }
+}
+
+/**
+ * Renders a list of blocks to indented HTML lines
+ *
+ * Sections and top-level headings (H1/H2) are preceded by a blank line to
+ * keep generated pages readable; everything else is emitted back to back.
+ *
+ * @param {Object[]} blocks - Blocks to render
+ * @param {string} [indent=''] - Indentation prefix for each line
+ * @param {Object} [options] - Render options (see renderInline)
+ * @returns {string[]} HTML lines
+ */
+function renderBlocks(blocks, indent = '', options = {}) {
+  const lines = [];
+  blocks.forEach((block, index) => {
+    const isBreak = block.type === 'section' || (block.type === 'heading' && block.level <= 2);
+    if (index > 0 && (isBreak || blocks[index - 1].type === 'section')) {
+      lines.push('');
+    }
+    lines.push(...renderBlock(block, indent, options));
+  });
+  return lines;
+}
+
+module.exports = {
+  parse,
+  parseFrontMatter,
+  parseBlocks,
+  renderBlocks,
+  renderInline,
+  escapeHtml,
+  escapeAttribute,
+  slugify
+};
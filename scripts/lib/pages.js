@@ -0,0 +1,52 @@
+/**
+ * Page Loader
+ *
+ * Reads a top-level content page and applies the generated additions its
+ * front matter asks for, so the build and the drift checker see the same
+ * page:
+ * - post_index: true appends the list of thoughts posts (newest first)
+ * - portfolio: <page> appends that page's portfolio cards from portfolio.json
+ * - reading: true puts the estimated reading time right after the first H1
+ *
+ * @fileoverview Content page loading shared by build and check-content
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('./markdown');
+const { postListBlocks } = require('./blog');
+const { portfolioBlocks } = require('./portfolio');
+const { readingTime } = require('./layout');
+
+/**
+ * Loads a content page as {name, data, blocks}
+ *
+ * @param {{name: string, source: string, output: string}} entry - Page mapping entry from listPages()
+ * @param {Object} sources - Generated content sources
+ * @param {Object[]} sources.posts - Posts from loadPosts(), for pages with post_index
+ * @param {Object} sources.portfolio - Dataset from loadPortfolio(), for pages with portfolio
+ * @returns {{name: string, data: Object, blocks: Object[]}} Parsed page
+ */
+function loadPage(entry, { posts, portfolio }) {
+  const { data, blocks } = parse(fs.readFileSync(entry.source, 'utf8'));
+
+  if (data.post_index) {
+    blocks.push(...postListBlocks(posts, path.basename(entry.output)));
+  }
+
+  if (data.portfolio) {
+    blocks.push(...portfolioBlocks(portfolio, String(data.portfolio)));
+  }
+
+  const heading = blocks.findIndex(block => block.type === 'heading' && block.level === 1);
+  if (data.reading && heading !== -1) {
+    const { words, minutes } = readingTime(blocks);
+    blocks.splice(heading + 1, 0, { type: 'html', html: `<p class="reading-time" title="${words} words">${minutes} min read</p>` });
+  }
+
+  return { name: entry.name, data, blocks };
+}
+
+module.exports = {
+  loadPage
+};
@@ -0,0 +1,264 @@
+/**
+ * Portfolio Module
+ *
+ * Loads docs/content/portfolio.json - the one dataset behind the art,
+ * music, and projects pages - and renders each page's items as cards
+ * grouped by category. A page opts in with `portfolio: <page>` in its front
+ * matter; docs/assets/js/portfolio.js adds the filter/sort controls.
+ *
+ * portfolio.json:
+ * - pages: { <page>: { categories: [...] } } - category order per page
+ * - items: [{ id, title, page, category, date?, tags?, description?,
+ *             image?: {src, alt}, embed?: {src, title}, links?: [{label, url}],
+ *             related?: [id], also_on?: [page] }]
+ *
+ * `page` is where an item lives; `also_on` shows the same card on other
+ * pages with a link back (in an "on other pages" group when the other page
+ * has no matching category). `related` links are shown on both items, so each
+ * pair only needs to be listed once.
+ *
+ * @fileoverview Portfolio dataset loading and card rendering for nmokey.com
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONTENT_DIR } = require('./site');
+const { escapeHtml, escapeAttribute, slugify } = require('./markdown');
+
+/**
+ * Location of the portfolio dataset
+ * @type {string}
+ */
+const PORTFOLIO_FILE = path.join(CONTENT_DIR, 'portfolio.json');
+
+/**
+ * Checks the dataset and throws one error listing every problem
+ *
+ * @param {Object} portfolio - Parsed portfolio.json
+ * @returns {void}
+ */
+function validatePortfolio(portfolio) {
+  const problems = [];
+  const pages = portfolio.pages || {};
+  const ids = new Set();
+
+  (portfolio.items || []).forEach((item, index) => {
+    const label = item.id ? `item "${item.id}"` : `item #${index + 1}`;
+
+    if (!item.id || !/^[a-z0-9-]+$/.test(item.id)) problems.push(`${label}: "id" must be lowercase letters, digits, and hyphens`);
+    if (ids.has(item.id)) problems.push(`${label}: duplicate id`);
+    ids.add(item.id);
+
+    if (!item.title) problems.push(`${label}: missing "title"`);
+    if (!pages[item.page]) {
+      problems.push(`${label}: "page" must be one of ${Object.keys(pages).join(', ')}`);
+    } else if (!pages[item.page].categories.includes(item.category)) {
+      problems.push(`${label}: "category" must be one of ${pages[item.page].categories.join(', ')}`);
+    }
+    if (item.date !== undefined && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(item.date)) {
+      problems.push(`${label}: "date" must be YYYY, YYYY-MM, or YYYY-MM-DD`);
+    }
+    (item.also_on || []).forEach(page => {
+      if (!pages[page]) problems.push(`${label}: unknown page "${page}" in "also_on"`);
+    });
+    (item.links || []).forEach(link => {
+      if (!link.label || !link.url) problems.push(`${label}: every link needs a "label" and a "url"`);
+    });
+    if (item.image && (!item.image.src || !item.image.alt)) problems.push(`${label}: "image" needs "src" and "alt"`);
+    if (item.embed && (!item.embed.src || !item.embed.title)) problems.push(`${label}: "embed" needs "src" and "title"`);
+  });
+
+  (portfolio.items || []).forEach(item => {
+    (item.related || []).forEach(id => {
+      if (!ids.has(id)) problems.push(`item "${item.id}": unknown related item "${id}"`);
+    });
+  });
+
+  if (problems.length) {
+    throw new Error(`content/portfolio.json:\n  ${problems.join('\n  ')}`);
+  }
+}
+
+/**
+ * Loads and validates the portfolio dataset
+ * Related links are made two-way here
+ *
+ * @returns {{pages: Object, items: Object[], byId: Map<string, Object>}} Portfolio
+ */
+function loadPortfolio() {
+  const portfolio = JSON.parse(fs.readFileSync(PORTFOLIO_FILE, 'utf8'));
+  validatePortfolio(portfolio);
+
+  const items = portfolio.items.map(item => ({ ...item, tags: item.tags || [], related: [...(item.related || [])] }));
+  const byId = new Map(items.map(item => [item.id, item]));
+  items.forEach(item => {
+    item.related.forEach(id => {
+      const other = byId.get(id);
+      if (!other.related.includes(item.id)) other.related.push(item.id);
+    });
+  });
+
+  return { pages: portfolio.pages, items, byId };
+}
+
+/**
+ * Orders items newest first; undated items last, then by title
+ *
+ * @param {Object} a - Item
+ * @param {Object} b - Item
+ * @returns {number} Sort order
+ */
+function compareItems(a, b) {
+  if ((a.date || '') !== (b.date || '')) {
+    return (b.date || '').localeCompare(a.date || '');
+  }
+  return a.title.localeCompare(b.title);
+}
+
+/**
+ * Returns the link to an item from a given page
+ *
+ * @param {Object} item - Target item
+ * @param {string} page - Page the link appears on
+ * @returns {string} href
+ */
+function itemLink(item, page) {
+  return item.page === page ? `#${item.id}` : `${item.page}.html#${item.id}`;
+}
+
+/**
+ * Renders one card
+ *
+ * @param {Object} item - Portfolio item
+ * @param {string} page - Page being rendered
+ * @param {Map<string, Object>} byId - Every item by id
+ * @returns {string} Card HTML
+ */
+function renderCard(item, page, byId) {
+  const attributes = [
+    `class="portfolio-card"`,
+    `id="${item.id}"`,
+    `data-title="${escapeAttribute(item.title.toLowerCase())}"`,
+    `data-date="${item.date || ''}"`,
+    `data-year="${item.date ? item.date.slice(0, 4) : ''}"`,
+    `data-type="${slugify(item.category)}"`,
+    `data-tags="${item.tags.map(slugify).join(' ')}"`,
+    // Hovering a card pulls the background field toward it (vector-field.js)
+    'data-field-charge="-2"',
+    'data-field-active="hover"'
+  ];
+  const lines = [`<li ${attributes.join(' ')}>`];
+
+  if (item.image) {
+    lines.push(
+      `  <a class="portfolio-card-media" href="#${item.id}">`,
+      `    <img src="${escapeAttribute(item.image.src)}" alt="${escapeAttribute(item.image.alt)}" loading="lazy">`,
+      '  </a>'
+    );
+  } else if (item.embed) {
+    lines.push(
+      '  <div class="portfolio-card-media portfolio-card-embed">',
+      `    <iframe src="${escapeAttribute(item.embed.src)}" title="${escapeAttribute(item.embed.title)}" loading="lazy" allowfullscreen></iframe>`,
+      '  </div>'
+    );
+  }
+
+  lines.push(`  <h3 class="portfolio-card-title">${escapeHtml(item.title)}</h3>`);
+
+  const meta = [
+    item.date ? `<time datetime="${item.date}">${item.date.slice(0, 4)}</time>` : '',
+    `<span class="portfolio-card-type">${escapeHtml(item.category)}</span>`
+  ];
+  if (item.page !== page) {
+    meta.push(`on <a href="${itemLink(item, page)}">${escapeHtml(item.page)}</a>`);
+  }
+  lines.push(`  <p class="portfolio-card-meta">${meta.filter(Boolean).join(' · ')}</p>`);
+
+  if (item.description) {
+    lines.push(`  <p class="portfolio-card-description">${escapeHtml(item.description)}</p>`);
+  }
+
+  if (item.links && item.links.length) {
+    const links = item.links.map(link => `<a href="${escapeAttribute(link.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.label)}</a>`);
+    lines.push(`  <p class="portfolio-card-links">${links.join(' · ')}</p>`);
+  }
+
+  if (item.tags.length) {
+    const tags = item.tags.map(tag => `<a class="portfolio-tag" href="?tag=${slugify(tag)}">#${escapeHtml(tag)}</a>`);
+    lines.push(`  <p class="portfolio-card-tags">${tags.join(' ')}</p>`);
+  }
+
+  if (item.related.length) {
+    const related = item.related
+      .map(id => byId.get(id))
+      .map(other => `<a href="${itemLink(other, page)}">${escapeHtml(other.title)}</a>`);
+    lines.push(`  <p class="portfolio-card-related">related: ${related.join(', ')}</p>`);
+  }
+
+  lines.push('</li>');
+  return lines.join('\n');
+}
+
+/**
+ * Renders a page's portfolio: one group per category, cards newest first
+ *
+ * @param {{pages: Object, items: Object[], byId: Map}} portfolio - From loadPortfolio()
+ * @param {string} page - Page name (e.g. "art")
+ * @returns {Object[]} Blocks to append to the page
+ */
+function portfolioBlocks(portfolio, page) {
+  if (!portfolio.pages[page]) {
+    throw new Error(`content/portfolio.json has no page "${page}" (front matter portfolio: ${page})`);
+  }
+
+  const items = portfolio.items.filter(item => item.page === page || (item.also_on || []).includes(page));
+  const categories = portfolio.pages[page].categories;
+
+  // Group headings get the slug PageNavigation would give them, so search
+  // results can scroll to them; -2, -3, ... if a card or the page has it
+  const used = new Set([page, ...items.map(item => item.id)]);
+  const headingId = (name) => {
+    const base = slugify(name) || 'section';
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+    return id;
+  };
+
+  const renderGroup = (name, type, groupItems) => {
+    const cards = groupItems.sort(compareItems).map(item => renderCard(item, page, portfolio.byId));
+    const body = cards.length
+      ? ['<ul class="portfolio-grid">', ...cards.join('\n').split('\n').map(line => `  ${line}`), '</ul>']
+      : ['<p class="portfolio-empty">nothing here yet.</p>'];
+
+    return [
+      `<section class="portfolio-group" data-type="${type}">`,
+      `  <h2 id="${headingId(name)}">${escapeHtml(name)}</h2>`,
+      ...body.map(line => `  ${line}`),
+      '</section>'
+    ].join('\n');
+  };
+
+  const groups = categories.map(category => renderGroup(
+    category,
+    slugify(category),
+    items.filter(item => item.category === category)
+  ));
+
+  // Items from other pages whose category this page doesn't have
+  const visiting = items.filter(item => !categories.includes(item.category));
+  if (visiting.length) {
+    groups.push(renderGroup('on other pages', 'elsewhere', visiting));
+  }
+
+  return [{
+    type: 'html',
+    html: [`<div class="portfolio" data-portfolio="${page}">`, ...groups.join('\n').split('\n').map(line => `  ${line}`), '</div>'].join('\n')
+  }];
+}
+
+module.exports = {
+  PORTFOLIO_FILE,
+  loadPortfolio,
+  portfolioBlocks
+};
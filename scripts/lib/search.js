@@ -0,0 +1,100 @@
+/**
+ * Search Index Module
+ *
+ * Builds the site search index from the generated pages: one record per
+ * page with its title, URL, lead text, and a [title, id, text] entry per
+ * heading (H1-H3). Ids are the heading's own id or its enclosing section's
+ * or card's, so a result can scroll straight to it.
+ *
+ * The index is written as a script (docs/assets/js/search-index.js) that
+ * defines a global `searchIndex`, like config.js, so the command palette
+ * can load it with a <script> tag - no fetch, which also works when the
+ * site is opened from disk.
+ *
+ * @fileoverview Search index generation for nmokey.com
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DOCS_DIR, SITE } = require('./site');
+const { extractSections, decodeEntities, normalizeText } = require('./html');
+
+/**
+ * Generated index file
+ * @type {string}
+ */
+const SEARCH_INDEX_FILE = path.join(DOCS_DIR, 'assets', 'js', 'search-index.js');
+
+/**
+ * Longest text kept per section; enough for matching and snippets
+ * @type {number}
+ */
+const MAX_TEXT = 600;
+
+/**
+ * Shortens text at a word boundary
+ *
+ * @param {string} text - Text
+ * @returns {string} Text of at most MAX_TEXT characters
+ */
+function clip(text) {
+  if (text.length <= MAX_TEXT) return text;
+  return text.slice(0, MAX_TEXT).replace(/\s+\S*$/, '');
+}
+
+/**
+ * Builds the index record for one page
+ *
+ * @param {string} url - Site-relative URL (e.g. "about.html")
+ * @param {string} html - Page HTML
+ * @returns {{t: string, u: string, x: string, s: Array<Array<string>>}} Page record
+ */
+function indexPage(url, html) {
+  const { lead, sections } = extractSections(html);
+  const titleTag = /<title>([\s\S]*?)<\/title>/i.exec(html);
+  const fallback = titleTag ? normalizeText(decodeEntities(titleTag[1])).replace(` - ${SITE.author}`, '') : url;
+
+  // The page's first H1 is its title; its text belongs to the page itself
+  const first = sections[0] && sections[0].level === 1 ? sections.shift() : null;
+  const text = [lead, first ? first.text : ''].filter(Boolean).join(' ');
+
+  return {
+    t: first ? first.title : fallback,
+    u: url,
+    x: clip(text),
+    s: sections.map(section => [section.title, section.id || '', clip(section.text)])
+  };
+}
+
+/**
+ * Renders search-index.js for a set of generated pages
+ *
+ * @param {string[]} files - Absolute paths of the HTML pages to index
+ * @returns {string} Script source
+ */
+function renderSearchIndex(files) {
+  const records = files
+    .filter(file => fs.existsSync(file))
+    .map(file => indexPage(path.relative(DOCS_DIR, file).split(path.sep).join('/'), fs.readFileSync(file, 'utf8')));
+
+  return [
+    '/**',
+    ' * Site Search Index',
+    ' *',
+    ' * Generated by scripts/build.js from the built pages - do not edit.',
+    ' * Each page: t = title, u = URL, x = lead text, s = [heading, id, text] per section.',
+    ' *',
+    ' * @fileoverview Search index for the command palette (search.js)',
+    ' */',
+    '',
+    'const searchIndex = [',
+    records.map(record => `  ${JSON.stringify(record)}`).join(',\n'),
+    '];',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  renderSearchIndex
+};
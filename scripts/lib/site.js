@@ -0,0 +1,103 @@
+/**
+ * Site Paths and Page Mapping
+ *
+ * Shared constants for the Node tooling: where the published site lives,
+ * where the markdown content lives, and how the two map onto each other
+ * (index.html ↔ content/index.md, about.html ↔ content/about.md, etc.).
+ *
+ * @fileoverview Site paths and content ↔ page mapping for nmokey.com tooling
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Repository root (one level above scripts/)
+ * @type {string}
+ */
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+/**
+ * Folder GitHub Pages serves the site from
+ * @type {string}
+ */
+const DOCS_DIR = path.join(ROOT_DIR, 'docs');
+
+/**
+ * Folder holding one markdown file per page
+ * @type {string}
+ */
+const CONTENT_DIR = path.join(DOCS_DIR, 'content');
+
+/**
+ * Site-wide values used when rendering pages
+ * @type {Object}
+ */
+const SITE = {
+  url: 'https://nmokey.com',
+  author: 'ryan zheng',
+  defaultDescription: 'this site is a work in progress',
+  analyticsId: 'G-NK15EEMEB2'
+};
+
+/**
+ * Lists every content page and the HTML file it maps to
+ *
+ * Only top-level `content/*.md` files are pages; subfolders (partials,
+ * posts, etc.) are left to the tools that know about them.
+ *
+ * @returns {Array<{name: string, source: string, output: string}>} Pages sorted by name
+ */
+function listPages() {
+  return fs.readdirSync(CONTENT_DIR)
+    .filter(file => file.endsWith('.md'))
+    .sort()
+    .map(file => {
+      const name = file.replace(/\.md$/, '');
+      return {
+        name,
+        source: path.join(CONTENT_DIR, file),
+        output: path.join(DOCS_DIR, `${name}.html`)
+      };
+    });
+}
+
+/**
+ * Loads the browser config (docs/assets/js/config.js) into Node
+ *
+ * config.js declares its settings as top-level `const`s for the browser,
+ * so it is evaluated in a sandbox and every top-level const is returned.
+ *
+ * @returns {Object} Top-level constants keyed by name (navigationData, etc.)
+ */
+function loadConfig() {
+  const file = path.join(DOCS_DIR, 'assets', 'js', 'config.js');
+  const source = fs.readFileSync(file, 'utf8');
+  const names = [];
+  const declaration = /^(?:const|let|var)\s+([A-Za-z_$][\w$]*)/gm;
+  let match;
+  while ((match = declaration.exec(source))) names.push(match[1]);
+
+  return vm.runInNewContext(`${source}\n;({ ${names.join(', ')} });`, {}, { filename: file });
+}
+
+/**
+ * Returns a path relative to the repository root, for log output
+ *
+ * @param {string} file - Absolute path
+ * @returns {string} Repository-relative path
+ */
+function relative(file) {
+  return path.relative(ROOT_DIR, file);
+}
+
+module.exports = {
+  ROOT_DIR,
+  DOCS_DIR,
+  CONTENT_DIR,
+  SITE,
+  listPages,
+  loadConfig,
+  relative
+};
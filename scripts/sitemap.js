@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * Sitemap Generator
+ *
+ * Writes docs/sitemap.xml from navigationData in config.js (the homepage
+ * plus every page and nested subpage with a link) and keeps the Sitemap
+ * line in docs/robots.txt pointing at it. Adding a page to the nav is all
+ * it takes for the page to show up here. Published thoughts posts are
+ * listed after the nav pages.
+ *
+ * Each entry's lastmod is the date of the latest commit touching the page's
+ * HTML file or its content/*.md source, so it only moves when the page does.
+ *
+ * Usage:
+ *   node scripts/sitemap.js
+ *
+ * @fileoverview sitemap.xml and robots.txt generation for nmokey.com
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT_DIR, DOCS_DIR, CONTENT_DIR, SITE, loadConfig, relative } = require('./lib/site');
+const { escapeHtml } = require('./lib/markdown');
+const { loadPosts } = require('./lib/blog');
+
+/**
+ * Values the sitemap protocol allows for <changefreq>
+ * @type {string[]}
+ */
+const CHANGE_FREQUENCIES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+/**
+ * Sitemap values for nav entries that don't set their own
+ * @type {{priority: number, changefreq: string}}
+ */
+const DEFAULT_SITEMAP = { priority: 0.5, changefreq: 'monthly' };
+
+/**
+ * Sitemap values for thoughts posts (written once, rarely edited)
+ * @type {{priority: number, changefreq: string}}
+ */
+const POST_SITEMAP = { priority: 0.5, changefreq: 'yearly' };
+
+/**
+ * Flattens navigationData into linked entries, homepage first
+ *
+ * @param {Object} navigationData - Navigation structure from config.js
+ * @returns {Object[]} Entries with a link, in menu order
+ */
+function collectEntries(navigationData) {
+  const entries = [];
+
+  function visit(item) {
+    if (item.link) entries.push(item);
+    (item.subpages || []).forEach(visit);
+  }
+
+  if (navigationData.home) visit(navigationData.home);
+  navigationData.pages.forEach(visit);
+  return entries;
+}
+
+/**
+ * Turns published thoughts posts into sitemap entries
+ *
+ * @returns {Object[]} Entries shaped like nav entries, plus their markdown source
+ */
+function collectPosts() {
+  return loadPosts().map(post => ({
+    name: post.slug,
+    link: post.file,
+    source: post.source,
+    sitemap: POST_SITEMAP
+  }));
+}
+
+/**
+ * Returns the public URL of a nav link
+ * The homepage is published as the bare domain
+ *
+ * @param {string} link - Link from navigationData (e.g. "about.html")
+ * @returns {string} Absolute URL
+ */
+function pageUrl(link) {
+  return link === 'index.html' ? `${SITE.url}/` : `${SITE.url}/${link}`;
+}
+
+/**
+ * Finds the date of the last commit touching any of the given files
+ * Falls back to today for pages that have never been committed
+ *
+ * @param {string[]} files - Absolute file paths
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function lastModified(files) {
+  const tracked = files.filter(file => fs.existsSync(file));
+  const today = new Date().toISOString().slice(0, 10);
+  if (tracked.length === 0) {
+    return today; // git log with no paths would give the newest commit anywhere
+  }
+
+  let date = '';
+  try {
+    date = execFileSync(
+      'git',
+      ['log', '-1', '--format=%cs', '--', ...tracked.map(relative)],
+      { cwd: ROOT_DIR, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+    ).trim();
+  } catch (error) {
+    // Not a git checkout - fall through to today's date
+  }
+
+  return date || today;
+}
+
+/**
+ * Reads and validates an entry's sitemap settings
+ *
+ * @param {Object} entry - Nav entry
+ * @returns {{priority: number, changefreq: string}} Sitemap settings
+ */
+function sitemapSettings(entry) {
+  const settings = { ...DEFAULT_SITEMAP, ...(entry.sitemap || {}) };
+
+  if (typeof settings.priority !== 'number' || settings.priority < 0 || settings.priority > 1) {
+    throw new Error(`navigationData "${entry.name}": sitemap.priority must be a number from 0.0 to 1.0`);
+  }
+  if (!CHANGE_FREQUENCIES.includes(settings.changefreq)) {
+    throw new Error(`navigationData "${entry.name}": sitemap.changefreq must be one of ${CHANGE_FREQUENCIES.join(', ')}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Renders sitemap.xml
+ *
+ * @param {Object[]} entries - Linked nav entries and posts
+ * @returns {string} Sitemap XML
+ */
+function renderSitemap(entries) {
+  const urls = entries.map(entry => {
+    const { priority, changefreq } = sitemapSettings(entry);
+    const name = path.basename(entry.link, '.html');
+    const lastmod = lastModified([
+      path.join(DOCS_DIR, entry.link),
+      entry.source || path.join(CONTENT_DIR, `${name}.md`)
+    ]);
+
+    return [
+      '  <url>',
+      `    <loc>${escapeHtml(pageUrl(entry.link))}</loc>`,
+      `    <lastmod>${lastmod}</lastmod>`,
+      `    <changefreq>${changefreq}</changefreq>`,
+      `    <priority>${priority.toFixed(1)}</priority>`,
+      '  </url>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Points robots.txt's Sitemap line at the generated sitemap
+ * Other rules are left untouched; the line is added if missing
+ *
+ * @param {string} robots - Current robots.txt contents
+ * @returns {string} Updated robots.txt contents
+ */
+function syncRobots(robots) {
+  const line = `Sitemap: ${SITE.url}/sitemap.xml`;
+  if (/^Sitemap:.*$/m.test(robots)) {
+    return robots.replace(/^Sitemap:.*$/m, line);
+  }
+  return `${robots.replace(/\s*$/, '')}\n\n${line}\n`;
+}
+
+/**
+ * Writes a file only if its contents changed, and logs the result
+ *
+ * @param {string} file - Absolute path
+ * @param {string} contents - New contents
+ * @returns {void}
+ */
+function writeIfChanged(file, contents) {
+  const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+  if (current !== contents) fs.writeFileSync(file, contents);
+  console.log(`${current === contents ? 'unchanged' : 'wrote    '} ${relative(file)}`);
+}
+
+/**
+ * Generates sitemap.xml and syncs robots.txt
+ *
+ * @returns {void}
+ */
+function main() {
+  const { navigationData } = loadConfig();
+  const entries = collectEntries(navigationData);
+
+  const missing = entries.filter(entry => !fs.existsSync(path.join(DOCS_DIR, entry.link)));
+  if (missing.length) {
+    console.warn(`warning: nav links without a page: ${missing.map(entry => entry.link).join(', ')}`);
+  }
+
+  writeIfChanged(path.join(DOCS_DIR, 'sitemap.xml'), renderSitemap([...entries, ...collectPosts()]));
+
+  const robotsFile = path.join(DOCS_DIR, 'robots.txt');
+  const robots = fs.existsSync(robotsFile) ? fs.readFileSync(robotsFile, 'utf8') : 'User-agent: *\nAllow: /\n';
+  writeIfChanged(robotsFile, syncRobots(robots));
+}
+
+main();